@@ -1,9 +1,24 @@
 import os
+import hmac
 import json
 import logging
-from urllib.parse import urlparse, parse_qs
-from flask import Flask, render_template, request, jsonify, redirect, url_for
+import secrets
+import click
+from functools import wraps
+from urllib.parse import urljoin
+from flask import Flask, Response, render_template, request, jsonify, redirect, url_for, abort, session, send_from_directory
 from news_fetcher import get_anime_news, get_season_announcements
+from video_providers import get_video_provider, resolve_video
+from subtitles import SubtitleNotFoundError, load_subtitle_as_vtt
+from view_stats import TRENDING_PERIODS, get_episode_key, record_episode_view, get_trending_anime
+from catalog_editor import (
+    CatalogError, edit_catalog,
+    create_anime, update_anime, delete_anime, reorder_anime,
+    create_season, update_season, delete_season, reorder_seasons,
+    create_episode, update_episode, delete_episode, reorder_episodes,
+)
+from link_checker import LINK_CHECK_TIMEOUT, LINK_AVAILABLE, LINK_UNAVAILABLE, LINK_UNREACHABLE, load_link_status, is_episode_unavailable, check_catalog_links, record_link_report
+from catalog_io import CATALOG_FORMATS, guess_catalog_format, export_catalog, run_catalog_import
 
 # Configure logging
 logging.basicConfig(level=logging.DEBUG)
@@ -12,44 +27,218 @@ logging.basicConfig(level=logging.DEBUG)
 app = Flask(__name__)
 app.secret_key = os.environ.get("SESSION_SECRET", "anime-zone-secret-key")
 
+# Content Security Policy of every response. Scripts only load from this site and
+# the hls.js CDN, so markup injected into a page can never run inline scripts.
+CONTENT_SECURITY_POLICY = '; '.join([
+    "default-src 'self'",
+    "script-src 'self' https://cdn.jsdelivr.net",
+    "worker-src 'self' blob:",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdnjs.cloudflare.com",
+    "font-src 'self' https://fonts.gstatic.com https://cdnjs.cloudflare.com",
+    "img-src 'self' data: http: https:",
+    "media-src 'self' blob: http: https:",
+    "connect-src 'self' http: https:",
+    "frame-src https://drive.google.com",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'self'",
+])
+
+@app.after_request
+def set_security_headers(response):
+    response.headers.setdefault('Content-Security-Policy', CONTENT_SECURITY_POLICY)
+    response.headers.setdefault('X-Content-Type-Options', 'nosniff')
+    return response
+
+# Catalog file, the hourly view counts used for trending, and the results of
+# the video link checks with the broken links reported by users
+ANIME_DATA_FILE = 'anime_data.json'
+VIEW_STATS_FILE = 'view_stats.json'
+LINK_STATUS_FILE = 'link_status.json'
+
 # Load anime data from JSON file
 def load_anime_data():
     try:
-        with open('anime_data.json', 'r') as file:
+        with open(ANIME_DATA_FILE, 'r', encoding='utf-8') as file:
             return json.load(file)
     except FileNotFoundError:
         # If file doesn't exist, create a sample structure
         anime_data = {
             "anime": []
         }
-        with open('anime_data.json', 'w') as file:
+        with open(ANIME_DATA_FILE, 'w') as file:
             json.dump(anime_data, file)
         return anime_data
 
-# Helper function to extract video ID from Google Drive URL
-def get_drive_embed_url(drive_url):
-    if not drive_url:
+# Find an anime by its URL value
+def find_anime(anime_data, anime_id):
+    return next((a for a in anime_data.get('anime', []) if str(a.get('id')) == anime_id), None)
+
+# Find an anime, one of its seasons and one of its episodes by their URL values
+def find_episode(anime_data, anime_id, season, episode):
+    anime = find_anime(anime_data, anime_id)
+    
+    if not anime:
+        return None, None, None
+    
+    selected_season = next((s for s in anime.get('seasons', []) if str(s.get('number')) == season), None)
+    
+    if not selected_season:
+        return anime, None, None
+    
+    selected_episode = next((e for e in selected_season.get('episodes', []) if str(e.get('number')) == episode), None)
+    
+    return anime, selected_season, selected_episode
+
+# Skip markers, in seconds, that an episode inherits from its season
+SKIP_MARKER_KEYS = ('intro_start', 'intro_end', 'outro_start')
+
+# Resolve the skip markers of an episode, falling back to its season
+def get_skip_markers(season, episode):
+    markers = {}
+    
+    for key in SKIP_MARKER_KEYS:
+        value = episode.get(key, season.get(key))
+        markers[key] = value if isinstance(value, (int, float)) and value >= 0 else None
+    
+    # An intro is only skippable when both of its ends are known
+    if markers['intro_start'] is None or markers['intro_end'] is None or markers['intro_end'] <= markers['intro_start']:
+        markers['intro_start'] = None
+        markers['intro_end'] = None
+    
+    return markers
+
+# Count the episodes of an anime across all of its seasons
+def count_episodes(anime):
+    return sum(len(season.get('episodes', [])) for season in anime.get('seasons', []))
+
+# Add up the views of every episode of an anime
+def get_total_views(anime):
+    return sum(
+        episode.get('views', 0)
+        for season in anime.get('seasons', [])
+        for episode in season.get('episodes', [])
+    )
+
+# Sort orders accepted by /api/anime, the catalog order is used when none is given
+ANIME_SORT_ORDERS = ('title', 'views', 'newest')
+
+# Largest page size accepted by /api/anime
+MAX_PAGE_SIZE = 100
+
+# Check whether every word of a search query appears in one of the anime titles
+def matches_title(anime, query):
+    words = query.split()
+    titles = [anime.get('title', '')] + anime.get('alt_titles', [])
+    return any(all(word in title.lower() for word in words) for title in titles)
+
+# Filter and sort the anime list for /api/anime
+def search_anime(anime_list, query='', genres=None, min_episodes=0, sort=''):
+    results = [
+        anime for anime in anime_list
+        if matches_title(anime, query)
+        and all(genre in [g.lower() for g in anime.get('genres', [])] for genre in genres or [])
+        and count_episodes(anime) >= min_episodes
+    ]
+    
+    if sort == 'title':
+        results.sort(key=lambda anime: anime.get('title', '').lower())
+    elif sort == 'views':
+        results.sort(key=get_total_views, reverse=True)
+    elif sort == 'newest':
+        # Anime are appended to anime_data.json, so the last ones are the newest
+        results.reverse()
+    
+    return results
+
+# Default and largest number of items returned for the index page sections
+HOME_SECTION_SIZE = 8
+
+# List the most recently added episodes with their anime, newest first
+def get_latest_episodes(anime_list, limit):
+    episodes = [
+        (anime, season, episode)
+        for anime in anime_list
+        for season in anime.get('seasons', [])
+        for episode in season.get('episodes', [])
+    ]
+    
+    # Episodes are appended to anime_data.json, so without a release date the last ones are the newest
+    ordered = sorted(
+        enumerate(episodes),
+        key=lambda item: (item[1][2].get('release_date') or '', item[0]),
+        reverse=True
+    )
+    
+    return [
+        {
+            "anime_id": anime.get('id'),
+            "anime_title": anime.get('title'),
+            "image_url": anime.get('image_url'),
+            "season": season.get('number'),
+            "episode": episode.get('number'),
+            "title": episode.get('title'),
+            "duration": episode.get('duration'),
+            "views": episode.get('views', 0),
+            "release_date": episode.get('release_date'),
+        }
+        for _, (anime, season, episode) in ordered[:limit]
+    ]
+
+# List the most viewed anime with their total views
+def get_popular_anime(anime_list, limit):
+    ranked = sorted(anime_list, key=get_total_views, reverse=True)
+    return [dict(anime, total_views=get_total_views(anime)) for anime in ranked[:limit]]
+
+# Read the ?limit= of the index page sections, or None if it is invalid
+def parse_section_limit():
+    try:
+        limit = int(request.args.get('limit', HOME_SECTION_SIZE))
+    except ValueError:
         return None
     
-    # Parse the URL
-    parsed_url = urlparse(drive_url)
-    
-    # Check if it's a Google Drive URL
-    if 'drive.google.com' in parsed_url.netloc:
-        if '/file/d/' in drive_url:
-            # Format: https://drive.google.com/file/d/FILE_ID/view
-            file_id = drive_url.split('/file/d/')[1].split('/')[0]
-        elif 'id=' in drive_url:
-            # Format: https://drive.google.com/open?id=FILE_ID
-            query = parse_qs(parsed_url.query)
-            file_id = query.get('id', [''])[0]
-        else:
-            return None
-            
-        # Return the embed URL that allows direct embedding
-        return f"https://drive.google.com/file/d/{file_id}/preview"
+    return limit if 1 <= limit <= MAX_PAGE_SIZE else None
+
+# Build the compact catalog used for searching: no descriptions, video links or episode details.
+# Episode titles stay, the search matches them too.
+def build_search_index(anime_list):
+    index = []
+    
+    for anime in anime_list:
+        seasons = [
+            {
+                'number': season.get('number'),
+                'episodes': [
+                    {'number': episode.get('number'), 'title': episode.get('title', '')}
+                    for episode in season.get('episodes', [])
+                ]
+            }
+            for season in anime.get('seasons', [])
+        ]
+        
+        first_episode = next(
+            ({'season': season['number'], 'episode': season['episodes'][0]['number']} for season in seasons if season['episodes']),
+            None
+        )
+        
+        index.append({
+            'id': anime.get('id'),
+            'title': anime.get('title', ''),
+            'alt_titles': anime.get('alt_titles', []),
+            'image_url': anime.get('image_url', ''),
+            'genres': anime.get('genres', []),
+            'first_episode': first_episode,
+            'seasons': seasons
+        })
     
-    return None
+    return index
+
+# Template filter building the download URL of an episode for its provider
+@app.template_filter('download_url')
+def download_url_filter(video_url):
+    provider = get_video_provider(video_url)
+    return provider.download_url(video_url) if provider else None
 
 # Routes
 @app.route('/')
@@ -65,91 +254,489 @@ def index():
     
     return render_template('index.html', news=news_items, upcoming=upcoming_anime)
 
-@app.route('/video/<anime_id>/<season>/<episode>')
-def video(anime_id, season, episode):
+@app.route('/search')
+def search():
+    # Results are loaded by main.js from the query parameters
+    return render_template('search.html')
+
+@app.route('/anime/<anime_id>')
+def anime_details(anime_id):
     anime_data = load_anime_data()
-    
-    # Find the anime, season, and episode
-    anime = next((a for a in anime_data.get('anime', []) if str(a.get('id')) == anime_id), None)
+    anime = find_anime(anime_data, anime_id)
     
     if not anime:
         return redirect(url_for('index'))
     
-    selected_season = next((s for s in anime.get('seasons', []) if str(s.get('number')) == season), None)
-    
-    if not selected_season:
-        return redirect(url_for('index'))
+    # Seasons and episodes are loaded by anime-details.js from /api/anime/<anime_id>
+    return render_template('anime.html', anime=anime)
+
+@app.route('/video/<anime_id>/<season>/<episode>')
+def video(anime_id, season, episode):
+    anime_data = load_anime_data()
     
-    selected_episode = next((e for e in selected_season.get('episodes', []) if str(e.get('number')) == episode), None)
+    # Find the anime, season, and episode
+    anime, selected_season, selected_episode = find_episode(anime_data, anime_id, season, episode)
     
     if not selected_episode:
         return redirect(url_for('index'))
     
     # Get the video URL
     video_url = selected_episode.get('video_url', '')
-    embed_url = get_drive_embed_url(video_url)
+    video = resolve_video(video_url)
     
     # Log for debugging
     app.logger.info(f"Original video URL: {video_url}")
-    app.logger.info(f"Embed URL: {embed_url}")
+    app.logger.info(f"Resolved video: {video}")
     
-    # If we can't embed the video, redirect to index
-    if not embed_url:
-        app.logger.error("Failed to generate embed URL")
+    # If no provider can play the video, redirect to index
+    if not video:
+        app.logger.error("No video provider supports this URL")
         return redirect(url_for('index'))
     
-    # Create a download URL from the original Google Drive link that forces download
-    download_url = video_url
-    if 'drive.google.com' in video_url:
-        # Extract the file ID
-        if '/file/d/' in video_url:
-            file_id = video_url.split('/file/d/')[1].split('/')[0]
-        elif 'id=' in video_url:
-            parsed_url = urlparse(video_url)
-            query = parse_qs(parsed_url.query)
-            file_id = query.get('id', [''])[0]
-        else:
-            file_id = None
-            
-        if file_id:
-            # Use the direct download URL format
-            download_url = f"https://drive.google.com/uc?export=download&id={file_id}"
+    # Absolute URLs for the share panel and the Open Graph / Twitter card previews
+    share_url = url_for('video', anime_id=anime_id, season=season, episode=episode, _external=True)
+    share_image = urljoin(request.url_root, anime['image_url']) if anime.get('image_url') else None
+    
+    # Episodes whose video the last link check could not load
+    link_status = load_link_status(LINK_STATUS_FILE)
+    unavailable_episodes = [
+        ep.get('number') for ep in selected_season.get('episodes', [])
+        if is_episode_unavailable(link_status, anime.get('id'), selected_season, ep)
+    ]
     
     return render_template(
         'video.html',
         anime=anime,
         season=selected_season,
         episode=selected_episode,
-        embed_url=embed_url,
-        download_url=download_url
+        video=video,
+        skip_markers=get_skip_markers(selected_season, selected_episode),
+        share_url=share_url,
+        share_image=share_image,
+        unavailable_episodes=unavailable_episodes
     )
 
+# Subtitle tracks are listed per episode as {"language", "label", "url"}.
+# They are served from here so SRT files can be converted to WebVTT and
+# tracks from other servers load without CORS headers.
+@app.route('/subtitles/<anime_id>/<season>/<episode>/<language>.vtt')
+def subtitles(anime_id, season, episode, language):
+    anime_data = load_anime_data()
+    _, _, selected_episode = find_episode(anime_data, anime_id, season, episode)
+    
+    if not selected_episode:
+        abort(404)
+    
+    track = next((t for t in selected_episode.get('subtitles', []) if t.get('language') == language), None)
+    
+    if not track or not track.get('url'):
+        abort(404)
+    
+    try:
+        vtt = load_subtitle_as_vtt(track['url'], app.static_folder)
+    except SubtitleNotFoundError:
+        abort(404)
+    
+    if vtt is None:
+        abort(502)
+    
+    response = Response(vtt, mimetype='text/vtt')
+    response.headers['Cache-Control'] = 'public, max-age=3600'
+    return response
+
+@app.route('/service-worker.js')
+def service_worker():
+    # Served from the root so the worker controls every page, and always revalidated
+    # so a new version of the worker is picked up on the next visit
+    response = send_from_directory(os.path.join(app.static_folder, 'js'), 'service-worker.js', mimetype='application/javascript')
+    response.headers['Cache-Control'] = 'no-cache'
+    return response
+
 @app.route('/api/anime')
 def get_anime():
     anime_data = load_anime_data()
-    search_query = request.args.get('q', '').lower()
+    all_anime = anime_data.get('anime', [])
+    search_query = request.args.get('q', '').strip().lower()
+    sort = request.args.get('sort', '')
     
-    if search_query:
-        # Filter anime based on search query
-        filtered_anime = [
-            anime for anime in anime_data.get('anime', [])
-            if search_query in anime.get('title', '').lower()
-        ]
-        return jsonify({"anime": filtered_anime})
+    # Genres can be repeated (?genre=Action&genre=Comedy) or comma separated
+    genres = [
+        genre.strip().lower()
+        for value in request.args.getlist('genre')
+        for genre in value.split(',')
+        if genre.strip()
+    ]
+    
+    try:
+        min_episodes = int(request.args.get('min_episodes', 0))
+        page = int(request.args.get('page', 1))
+        per_page = int(request.args.get('per_page', 0))
+    except ValueError:
+        return jsonify({"error": "min_episodes, page and per_page must be whole numbers"}), 400
+    
+    if sort and sort not in ANIME_SORT_ORDERS:
+        return jsonify({"error": f"Unknown sort order: {sort}"}), 400
+    
+    if page < 1 or per_page < 0 or per_page > MAX_PAGE_SIZE:
+        return jsonify({"error": f"page must be at least 1 and per_page at most {MAX_PAGE_SIZE}"}), 400
     
-    return jsonify(anime_data)
+    results = search_anime(all_anime, search_query, genres, min_episodes, sort)
+    total = len(results)
+    
+    # Without per_page every result is returned on a single page
+    if per_page:
+        results = results[(page - 1) * per_page:page * per_page]
+    
+    return jsonify({
+        "anime": results,
+        "total": total,
+        "page": page,
+        "per_page": per_page or total,
+        "genres": sorted({genre for anime in all_anime for genre in anime.get('genres', [])})
+    })
+
+@app.route('/api/episodes/latest')
+def get_latest():
+    limit = parse_section_limit()
+    
+    if limit is None:
+        return jsonify({"error": f"limit must be a whole number from 1 to {MAX_PAGE_SIZE}"}), 400
+    
+    anime_data = load_anime_data()
+    return jsonify({"episodes": get_latest_episodes(anime_data.get('anime', []), limit)})
+
+@app.route('/api/anime/popular')
+def get_popular():
+    limit = parse_section_limit()
+    
+    if limit is None:
+        return jsonify({"error": f"limit must be a whole number from 1 to {MAX_PAGE_SIZE}"}), 400
+    
+    anime_data = load_anime_data()
+    return jsonify({"anime": get_popular_anime(anime_data.get('anime', []), limit)})
+
+@app.route('/api/anime/trending')
+def get_trending():
+    limit = parse_section_limit()
+    period = request.args.get('period', 'week')
+    
+    if limit is None:
+        return jsonify({"error": f"limit must be a whole number from 1 to {MAX_PAGE_SIZE}"}), 400
+    
+    if period not in TRENDING_PERIODS:
+        return jsonify({"error": f"Unknown trending period: {period}"}), 400
+    
+    anime_data = load_anime_data()
+    return jsonify({
+        "anime": get_trending_anime(anime_data.get('anime', []), VIEW_STATS_FILE, period, limit),
+        "period": period
+    })
+
+# Episodes already counted in this browser session, the oldest are forgotten first
+MAX_SESSION_VIEWS = 200
+
+# The player reports a view once the episode has been watched long enough
+@app.route('/api/views/<anime_id>/<season>/<episode>', methods=['POST'])
+def count_view(anime_id, season, episode):
+    key = get_episode_key(anime_id, season, episode)
+    viewed = session.get('viewed_episodes', [])
+    
+    if key in viewed:
+        _, _, selected_episode = find_episode(load_anime_data(), anime_id, season, episode)
+        
+        if not selected_episode:
+            return jsonify({"error": "Episode not found"}), 404
+        
+        return jsonify({"views": selected_episode.get('views', 0), "counted": False})
+    
+    views = record_episode_view(ANIME_DATA_FILE, VIEW_STATS_FILE, anime_id, season, episode)
+    
+    if views is None:
+        return jsonify({"error": "Episode not found"}), 404
+    
+    session['viewed_episodes'] = (viewed + [key])[-MAX_SESSION_VIEWS:]
+    return jsonify({"views": views, "counted": True})
+
+# Episodes already reported in this browser session
+MAX_SESSION_REPORTS = 50
+
+# The error overlay of the player lets users report a broken video, the
+# reports are listed by `flask catalog check-links` until the next check
+@app.route('/api/reports/<anime_id>/<season>/<episode>', methods=['POST'])
+def report_broken_link(anime_id, season, episode):
+    anime, selected_season, selected_episode = find_episode(load_anime_data(), anime_id, season, episode)
+    
+    if not selected_episode:
+        return jsonify({"error": "Episode not found"}), 404
+    
+    key = get_episode_key(anime_id, season, episode)
+    reported = session.get('reported_episodes', [])
+    
+    if key in reported:
+        return jsonify({"reported": False})
+    
+    record_link_report(LINK_STATUS_FILE, anime.get('id'), selected_season.get('number'), selected_episode.get('number'))
+    session['reported_episodes'] = (reported + [key])[-MAX_SESSION_REPORTS:]
+    return jsonify({"reported": True})
+
+@app.route('/api/search-index')
+def get_search_index():
+    anime_data = load_anime_data()
+    response = jsonify({"anime": build_search_index(anime_data.get('anime', []))})
+    
+    # Browsers keep the index in IndexedDB and revalidate it with If-None-Match
+    response.add_etag()
+    response.headers['Cache-Control'] = 'no-cache'
+    return response.make_conditional(request)
 
 @app.route('/api/anime/<anime_id>')
 def get_anime_details(anime_id):
     anime_data = load_anime_data()
     
     # Find the anime by ID
-    anime = next((a for a in anime_data.get('anime', []) if str(a.get('id')) == anime_id), None)
+    anime = find_anime(anime_data, anime_id)
     
     if not anime:
         return jsonify({"error": "Anime not found"}), 404
     
+    # Give every episode its resolved skip markers and link status
+    link_status = load_link_status(LINK_STATUS_FILE)
+    
+    for season in anime.get('seasons', []):
+        for episode in season.get('episodes', []):
+            episode['skip_markers'] = get_skip_markers(season, episode)
+            episode['unavailable'] = is_episode_unavailable(link_status, anime.get('id'), season, episode)
+    
+    return jsonify(anime)
+
+# Password of the /admin pages. The admin also needs a private SESSION_SECRET,
+# the default key is public and would let anyone sign an admin session
+ADMIN_PASSWORD = os.environ.get("ADMIN_PASSWORD")
+ADMIN_ENABLED = bool(ADMIN_PASSWORD) and bool(os.environ.get("SESSION_SECRET"))
+
+# Token of the session sent back with every admin change, so other sites cannot post them
+def get_csrf_token():
+    if 'csrf_token' not in session:
+        session['csrf_token'] = secrets.token_urlsafe(32)
+    return session['csrf_token']
+
+# Check a CSRF token against the one of the session
+def is_valid_csrf_token(token):
+    return bool(token) and hmac.compare_digest(token, session.get('csrf_token', ''))
+
+# Restrict a route to a logged in admin. Pages redirect to the login form, API
+# routes answer 401, and changes must send the CSRF token in X-CSRF-Token
+def admin_required(view):
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+        if not ADMIN_ENABLED or not session.get('is_admin'):
+            if request.path.startswith('/api/'):
+                return jsonify({"error": "Admin login required"}), 401
+            return redirect(url_for('admin_login'))
+        
+        if request.method != 'GET' and not is_valid_csrf_token(request.headers.get('X-CSRF-Token', '')):
+            return jsonify({"error": "Invalid CSRF token"}), 403
+        
+        return view(*args, **kwargs)
+    
+    return wrapper
+
+@app.errorhandler(CatalogError)
+def handle_catalog_error(error):
+    return jsonify({"error": error.message, "fields": error.fields}), error.status
+
+@app.route('/admin/login', methods=['GET', 'POST'])
+def admin_login():
+    error = None
+    
+    if not ADMIN_ENABLED:
+        error = "The admin is disabled: set the ADMIN_PASSWORD and SESSION_SECRET environment variables to enable it."
+    elif request.method == 'POST':
+        password = request.form.get('password', '')
+        
+        if not is_valid_csrf_token(request.form.get('csrf_token', '')):
+            error = "Your session expired, please try again."
+        elif hmac.compare_digest(password.encode('utf-8'), ADMIN_PASSWORD.encode('utf-8')):
+            # A new token for the logged in session
+            session['is_admin'] = True
+            session['csrf_token'] = secrets.token_urlsafe(32)
+            return redirect(url_for('admin'))
+        else:
+            app.logger.warning("Failed admin login attempt")
+            error = "Wrong password."
+    
+    status = 401 if request.method == 'POST' and error else 200
+    return render_template('admin_login.html', error=error, csrf_token=get_csrf_token()), status
+
+@app.route('/admin/logout', methods=['POST'])
+def admin_logout():
+    if is_valid_csrf_token(request.form.get('csrf_token', '')):
+        session.pop('is_admin', None)
+        session.pop('csrf_token', None)
+    
+    return redirect(url_for('admin_login'))
+
+@app.route('/admin')
+@admin_required
+def admin():
+    # The catalog is loaded and edited by admin.js through the /api/admin endpoints
+    return render_template('admin.html', csrf_token=get_csrf_token())
+
+@app.route('/api/admin/anime')
+@admin_required
+def admin_get_anime():
+    return jsonify({"anime": load_anime_data().get('anime', [])})
+
+@app.route('/api/admin/anime', methods=['POST'])
+@admin_required
+def admin_create_anime():
+    data = request.get_json(silent=True)
+    anime = edit_catalog(ANIME_DATA_FILE, lambda anime_data: create_anime(anime_data, data))
+    return jsonify(anime), 201
+
+@app.route('/api/admin/anime/order', methods=['PUT'])
+@admin_required
+def admin_reorder_anime():
+    order = (request.get_json(silent=True) or {}).get('order')
+    anime_list = edit_catalog(ANIME_DATA_FILE, lambda anime_data: reorder_anime(anime_data, order))
+    return jsonify({"anime": anime_list})
+
+@app.route('/api/admin/anime/<anime_id>', methods=['PATCH'])
+@admin_required
+def admin_update_anime(anime_id):
+    data = request.get_json(silent=True)
+    anime = edit_catalog(ANIME_DATA_FILE, lambda anime_data: update_anime(anime_data, anime_id, data))
     return jsonify(anime)
 
+@app.route('/api/admin/anime/<anime_id>', methods=['DELETE'])
+@admin_required
+def admin_delete_anime(anime_id):
+    edit_catalog(ANIME_DATA_FILE, lambda anime_data: delete_anime(anime_data, anime_id))
+    return '', 204
+
+@app.route('/api/admin/anime/<anime_id>/seasons', methods=['POST'])
+@admin_required
+def admin_create_season(anime_id):
+    data = request.get_json(silent=True)
+    season = edit_catalog(ANIME_DATA_FILE, lambda anime_data: create_season(anime_data, anime_id, data))
+    return jsonify(season), 201
+
+@app.route('/api/admin/anime/<anime_id>/seasons/order', methods=['PUT'])
+@admin_required
+def admin_reorder_seasons(anime_id):
+    order = (request.get_json(silent=True) or {}).get('order')
+    seasons = edit_catalog(ANIME_DATA_FILE, lambda anime_data: reorder_seasons(anime_data, anime_id, order))
+    return jsonify({"seasons": seasons})
+
+@app.route('/api/admin/anime/<anime_id>/seasons/<season>', methods=['PATCH'])
+@admin_required
+def admin_update_season(anime_id, season):
+    data = request.get_json(silent=True)
+    updated = edit_catalog(ANIME_DATA_FILE, lambda anime_data: update_season(anime_data, anime_id, season, data))
+    return jsonify(updated)
+
+@app.route('/api/admin/anime/<anime_id>/seasons/<season>', methods=['DELETE'])
+@admin_required
+def admin_delete_season(anime_id, season):
+    edit_catalog(ANIME_DATA_FILE, lambda anime_data: delete_season(anime_data, anime_id, season))
+    return '', 204
+
+@app.route('/api/admin/anime/<anime_id>/seasons/<season>/episodes', methods=['POST'])
+@admin_required
+def admin_create_episode(anime_id, season):
+    data = request.get_json(silent=True)
+    episode = edit_catalog(ANIME_DATA_FILE, lambda anime_data: create_episode(anime_data, anime_id, season, data))
+    return jsonify(episode), 201
+
+@app.route('/api/admin/anime/<anime_id>/seasons/<season>/episodes/order', methods=['PUT'])
+@admin_required
+def admin_reorder_episodes(anime_id, season):
+    order = (request.get_json(silent=True) or {}).get('order')
+    episodes = edit_catalog(ANIME_DATA_FILE, lambda anime_data: reorder_episodes(anime_data, anime_id, season, order))
+    return jsonify({"episodes": episodes})
+
+@app.route('/api/admin/anime/<anime_id>/seasons/<season>/episodes/<episode>', methods=['PATCH'])
+@admin_required
+def admin_update_episode(anime_id, season, episode):
+    data = request.get_json(silent=True)
+    updated = edit_catalog(ANIME_DATA_FILE, lambda anime_data: update_episode(anime_data, anime_id, season, episode, data))
+    return jsonify(updated)
+
+@app.route('/api/admin/anime/<anime_id>/seasons/<season>/episodes/<episode>', methods=['DELETE'])
+@admin_required
+def admin_delete_episode(anime_id, season, episode):
+    edit_catalog(ANIME_DATA_FILE, lambda anime_data: delete_episode(anime_data, anime_id, season, episode))
+    return '', 204
+
+# Command line import and export of the catalog, e.g. flask --app main catalog export catalog.csv
+@app.cli.group('catalog')
+def catalog_cli():
+    """Import and export the anime catalog as JSON or CSV."""
+
+@catalog_cli.command('export')
+@click.argument('output', type=click.File('w', encoding='utf-8'), default='-')
+@click.option('--anime', 'anime_id', help='Only export the anime with this ID.')
+@click.option('--format', 'file_format', type=click.Choice(CATALOG_FORMATS), help='Guessed from the file name by default.')
+def export_catalog_command(output, anime_id, file_format):
+    """Write the catalog to OUTPUT, or to the standard output."""
+    anime_list = load_anime_data().get('anime', [])
+    
+    if anime_id is not None:
+        anime_list = [anime for anime in anime_list if str(anime.get('id')) == anime_id]
+        
+        if not anime_list:
+            raise click.ClickException(f'Anime {anime_id} not found')
+    
+    output.write(export_catalog(anime_list, file_format or guess_catalog_format(output.name)))
+
+@catalog_cli.command('import')
+@click.argument('input_file', metavar='FILE', type=click.File('r', encoding='utf-8-sig'))
+@click.option('--format', 'file_format', type=click.Choice(CATALOG_FORMATS), help='Guessed from the file name by default.')
+@click.option('--replace', is_flag=True, help='Remove the anime that are not in the file.')
+@click.option('--dry-run', is_flag=True, help='Validate the file and list the changes without saving them.')
+def import_catalog_command(input_file, file_format, replace, dry_run):
+    """Add or update the anime of FILE. Each anime of the file replaces the
+    one with the same ID, keeping the views and subtitles the file leaves out."""
+    summary, errors = run_catalog_import(
+        ANIME_DATA_FILE, input_file.read(), file_format or guess_catalog_format(input_file.name),
+        replace=replace, dry_run=dry_run,
+    )
+    
+    if errors:
+        for error in errors:
+            location = ', '.join(str(part) for part in (error['row'], error['field']) if part)
+            click.echo(f"{location}: {error['message']}" if location else error['message'], err=True)
+        raise click.ClickException(f'{len(errors)} error(s), nothing was imported')
+    
+    for change, titles in summary.items():
+        for title in titles:
+            click.echo(f'{change.capitalize()}: {title}')
+    
+    click.echo(
+        f"{'Would import' if dry_run else 'Imported'}: {len(summary['added'])} added, "
+        f"{len(summary['updated'])} updated, {len(summary['removed'])} removed"
+    )
+
+@catalog_cli.command('check-links')
+@click.option('--anime', 'anime_id', help='Only check the anime with this ID.')
+@click.option('--reported', is_flag=True, help='Only check the episodes reported by users.')
+@click.option('--drive-url', envvar='DRIVE_BASE_URL', help='Check Drive links against this origin, e.g. the local stand-in of drive_standin.py.')
+@click.option('--timeout', type=float, default=LINK_CHECK_TIMEOUT, show_default=True, help='Seconds to wait for each URL.')
+def check_links_command(anime_id, reported, drive_url, timeout):
+    """Check that the video of every episode can still be loaded. Episodes
+    found unavailable are marked on the site until a check finds them again."""
+    def show_result(result):
+        if result['status'] != LINK_AVAILABLE:
+            reports = f" ({result['reports']} report(s))" if result['reports'] else ''
+            click.echo(f"{result['status'].capitalize()}: {result['anime']} S{result['season']} EP{result['episode']} - {result['error']}{reports}")
+    
+    results = check_catalog_links(
+        load_anime_data().get('anime', []), LINK_STATUS_FILE, app.static_folder,
+        drive_base_url=drive_url, timeout=timeout, anime_id=anime_id, reported_only=reported, on_result=show_result,
+    )
+    
+    counts = {status: sum(1 for result in results if result['status'] == status) for status in (LINK_AVAILABLE, LINK_UNAVAILABLE, LINK_UNREACHABLE)}
+    click.echo(f"Checked {len(results)} episode(s): " + ', '.join(f'{count} {status}' for status, count in counts.items()))
+
 if __name__ == '__main__':
     app.run(host='0.0.0.0', port=5000, debug=True)
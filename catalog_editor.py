@@ -0,0 +1,371 @@
+import math
+from datetime import date
+from urllib.parse import urlparse
+from storage import data_lock, read_json, write_json_atomic
+from video_providers import GoogleDriveProvider, is_static_path, resolve_video
+
+class CatalogError(Exception):
+    """
+    An edit of the catalog that cannot be applied. Routes answer with its
+    status and message, and with the invalid fields so forms can point at them.
+    """
+    
+    def __init__(self, message, status=400, fields=None):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+        self.fields = fields or {}
+
+# Field cleaners: each takes the submitted value (None when missing) and returns
+# the value to store (None removes the field) or raises ValueError with a message
+
+# Trimmed text, optionally required and limited in length
+def text(max_length=None, required=False):
+    def clean(value):
+        value = '' if value is None else value
+        
+        if not isinstance(value, str):
+            raise ValueError('Must be text')
+        
+        value = value.strip()
+        
+        if required and not value:
+            raise ValueError('Required')
+        if max_length and len(value) > max_length:
+            raise ValueError(f'At most {max_length} characters')
+        
+        return value
+    
+    return clean
+
+# List of distinct trimmed texts, also accepted as comma separated text
+def text_list(value):
+    if value is None or value == '':
+        return []
+    if isinstance(value, str):
+        value = value.split(',')
+    if not isinstance(value, list) or not all(isinstance(item, str) for item in value):
+        raise ValueError('Must be a list of text')
+    
+    items = []
+    
+    for item in (item.strip() for item in value):
+        if item and item not in items:
+            items.append(item)
+    
+    return items
+
+# Season and episode numbers
+def positive_int(value):
+    if isinstance(value, str) and value.strip().isdigit():
+        value = int(value)
+    if not isinstance(value, int) or isinstance(value, bool) or value < 1:
+        raise ValueError('Must be a whole number of at least 1')
+    
+    return value
+
+# Episode duration in minutes
+def optional_minutes(value):
+    if value is None or value == '':
+        return None
+    if isinstance(value, str) and value.strip().isdigit():
+        value = int(value)
+    if not isinstance(value, int) or isinstance(value, bool) or value < 0:
+        raise ValueError('Must be a whole number of minutes')
+    
+    return value
+
+# Skip marker position in seconds
+def optional_seconds(value):
+    if value is None or value == '':
+        return None
+    if isinstance(value, str):
+        try:
+            value = float(value)
+        except ValueError:
+            raise ValueError('Must be a number of seconds') from None
+    if not isinstance(value, (int, float)) or isinstance(value, bool) or not math.isfinite(value) or value < 0:
+        raise ValueError('Must be a number of seconds')
+    
+    return value
+
+# Release date in ISO format
+def optional_date(value):
+    if value is None or value == '':
+        return None
+    
+    try:
+        return date.fromisoformat(value).isoformat()
+    except (TypeError, ValueError):
+        raise ValueError('Must be a date (YYYY-MM-DD)') from None
+
+# Poster image: a web URL or a file of this site
+def image_url(value):
+    value = text()(value)
+    
+    if value and urlparse(value).scheme not in ('http', 'https') and not is_static_path(value):
+        raise ValueError('Must be an http(s) URL or a /static path')
+    
+    return value
+
+# Episode video: any URL a video provider can play
+def video_url(value):
+    value = text(required=True)(value)
+    
+    # resolve_video applies the rules of GoogleDriveProvider to Drive links
+    if resolve_video(value):
+        return value
+    
+    if GoogleDriveProvider().matches(value):
+        raise ValueError('Google Drive links must contain the file ID, e.g. https://drive.google.com/file/d/<id>/view')
+    
+    raise ValueError('Must be a Google Drive link, an HLS playlist (.m3u8), an MP4 or WebM file, or a /static path')
+
+# Skip markers, in seconds, that seasons and episodes can set
+SKIP_MARKER_FIELDS = {
+    'intro_start': optional_seconds,
+    'intro_end': optional_seconds,
+    'outro_start': optional_seconds,
+}
+
+ANIME_FIELDS = {
+    'title': text(max_length=200, required=True),
+    'alt_titles': text_list,
+    'description': text(),
+    'image_url': image_url,
+    'genres': text_list,
+}
+
+SEASON_FIELDS = {
+    'number': positive_int,
+    'title': text(max_length=200),
+    **SKIP_MARKER_FIELDS,
+}
+
+EPISODE_FIELDS = {
+    'number': positive_int,
+    'title': text(max_length=200),
+    'description': text(),
+    'video_url': video_url,
+    'duration': optional_minutes,
+    'release_date': optional_date,
+    **SKIP_MARKER_FIELDS,
+}
+
+def clean_fields(data, fields, partial=False):
+    """
+    Validate submitted data against a field list. Fields that are not listed,
+    such as views, are ignored.
+    
+    Args:
+        data (dict): The submitted JSON object
+        fields (dict): Cleaner of each field
+        partial (bool): Only clean the submitted fields, for updates
+    
+    Returns:
+        dict: The cleaned values, None for fields to remove
+    
+    Raises:
+        CatalogError: With the message of every invalid field
+    """
+    if not isinstance(data, dict):
+        raise CatalogError('Expected a JSON object')
+    
+    cleaned = {}
+    errors = {}
+    
+    for name, clean in fields.items():
+        if partial and name not in data:
+            continue
+        
+        try:
+            cleaned[name] = clean(data.get(name))
+        except ValueError as e:
+            errors[name] = str(e)
+    
+    if errors:
+        raise CatalogError('Some fields are invalid', fields=errors)
+    
+    return cleaned
+
+# Store cleaned values on a catalog item. Empty optional values are removed,
+# so episodes without skip markers fall back to those of their season
+def apply_fields(item, cleaned):
+    for name, value in cleaned.items():
+        if value is None:
+            item.pop(name, None)
+        else:
+            item[name] = value
+
+def find_item(items, key, value, label):
+    """
+    Find a catalog item by its URL value.
+    
+    Args:
+        items (list): Anime, seasons or episodes
+        key (str): 'id' or 'number'
+        value: The value from the URL
+        label (str): Name of the item in the error message
+    
+    Returns:
+        dict: The item
+    
+    Raises:
+        CatalogError: 404 if no item has this value
+    """
+    item = next((i for i in items if str(i.get(key)) == str(value)), None)
+    
+    if item is None:
+        raise CatalogError(f'{label} not found', status=404)
+    
+    return item
+
+# Reject a season or episode number already used by another item
+def check_unique_number(items, number, current, label):
+    if any(i is not current and i.get('number') == number for i in items):
+        raise CatalogError(f'{label} {number} already exists', status=409, fields={'number': 'Already used'})
+
+# Number or ID following the highest one of the items
+def next_number(items, key='number'):
+    return max((i.get(key) for i in items if isinstance(i.get(key), int)), default=0) + 1
+
+def reorder_items(items, order, key, label):
+    """
+    Sort catalog items in place in the given order.
+    
+    Args:
+        items (list): Anime, seasons or episodes
+        order (list): Every id or number of the items, in their new order
+        key (str): 'id' or 'number'
+        label (str): Name of the items in the error message
+    
+    Raises:
+        CatalogError: If the order does not list every item exactly once
+    """
+    current = [str(i.get(key)) for i in items]
+    wanted = [str(value) for value in order] if isinstance(order, list) else None
+    
+    if wanted is None or sorted(wanted) != sorted(current):
+        raise CatalogError(f'The order must list every {label} exactly once')
+    
+    items.sort(key=lambda i: wanted.index(str(i.get(key))))
+
+# Edits of the catalog: each changes the anime data in place and returns the changed item
+
+def create_anime(anime_data, data):
+    anime_list = anime_data.setdefault('anime', [])
+    anime = {'id': next_number(anime_list, 'id')}
+    apply_fields(anime, clean_fields(data, ANIME_FIELDS))
+    anime['seasons'] = []
+    anime_list.append(anime)
+    return anime
+
+def update_anime(anime_data, anime_id, data):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    apply_fields(anime, clean_fields(data, ANIME_FIELDS, partial=True))
+    return anime
+
+def delete_anime(anime_data, anime_id):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    anime_data['anime'].remove(anime)
+    return anime
+
+def reorder_anime(anime_data, order):
+    reorder_items(anime_data.get('anime', []), order, 'id', 'anime')
+    return anime_data.get('anime', [])
+
+def create_season(anime_data, anime_id, data):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    seasons = anime.setdefault('seasons', [])
+    
+    # New seasons follow the last one unless a number is given
+    if isinstance(data, dict) and data.get('number') in (None, ''):
+        data = dict(data, number=next_number(seasons))
+    
+    season = {}
+    apply_fields(season, clean_fields(data, SEASON_FIELDS))
+    check_unique_number(seasons, season['number'], None, 'Season')
+    season['episodes'] = []
+    seasons.append(season)
+    return season
+
+def update_season(anime_data, anime_id, season_number, data):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    season = find_item(anime.get('seasons', []), 'number', season_number, 'Season')
+    cleaned = clean_fields(data, SEASON_FIELDS, partial=True)
+    
+    if 'number' in cleaned:
+        check_unique_number(anime['seasons'], cleaned['number'], season, 'Season')
+    
+    apply_fields(season, cleaned)
+    return season
+
+def delete_season(anime_data, anime_id, season_number):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    season = find_item(anime.get('seasons', []), 'number', season_number, 'Season')
+    anime['seasons'].remove(season)
+    return season
+
+def reorder_seasons(anime_data, anime_id, order):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    reorder_items(anime.setdefault('seasons', []), order, 'number', 'season')
+    return anime['seasons']
+
+def create_episode(anime_data, anime_id, season_number, data):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    season = find_item(anime.get('seasons', []), 'number', season_number, 'Season')
+    episodes = season.setdefault('episodes', [])
+    
+    if isinstance(data, dict) and data.get('number') in (None, ''):
+        data = dict(data, number=next_number(episodes))
+    
+    episode = {}
+    apply_fields(episode, clean_fields(data, EPISODE_FIELDS))
+    check_unique_number(episodes, episode['number'], None, 'Episode')
+    episode['views'] = 0
+    episodes.append(episode)
+    return episode
+
+def update_episode(anime_data, anime_id, season_number, episode_number, data):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    season = find_item(anime.get('seasons', []), 'number', season_number, 'Season')
+    episode = find_item(season.get('episodes', []), 'number', episode_number, 'Episode')
+    cleaned = clean_fields(data, EPISODE_FIELDS, partial=True)
+    
+    if 'number' in cleaned:
+        check_unique_number(season['episodes'], cleaned['number'], episode, 'Episode')
+    
+    apply_fields(episode, cleaned)
+    return episode
+
+def delete_episode(anime_data, anime_id, season_number, episode_number):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    season = find_item(anime.get('seasons', []), 'number', season_number, 'Season')
+    episode = find_item(season.get('episodes', []), 'number', episode_number, 'Episode')
+    season['episodes'].remove(episode)
+    return episode
+
+def reorder_episodes(anime_data, anime_id, season_number, order):
+    anime = find_item(anime_data.get('anime', []), 'id', anime_id, 'Anime')
+    season = find_item(anime.get('seasons', []), 'number', season_number, 'Season')
+    reorder_items(season.setdefault('episodes', []), order, 'number', 'episode')
+    return season['episodes']
+
+def edit_catalog(data_path, edit):
+    """
+    Apply an edit to anime_data.json. The file is read, edited and rewritten
+    atomically while holding the data lock, so edits and view counts never
+    overwrite each other. Nothing is written when the edit raises.
+    
+    Args:
+        data_path (str): Path of anime_data.json
+        edit (callable): Changes the catalog it is given and returns the result
+    
+    Returns:
+        The result of the edit
+    """
+    with data_lock(data_path):
+        anime_data = read_json(data_path, {"anime": []})
+        result = edit(anime_data)
+        write_json_atomic(data_path, anime_data)
+        return result
@@ -0,0 +1,564 @@
+import io
+import os
+import re
+import csv
+import copy
+import json
+from datetime import date
+from catalog_editor import (
+    ANIME_FIELDS, SEASON_FIELDS, EPISODE_FIELDS,
+    CatalogError, apply_fields, clean_fields, positive_int, edit_catalog,
+)
+from storage import read_json
+
+# Published JSON Schema of the catalog files, served from the static folder
+CATALOG_SCHEMA_URL = '/static/schemas/catalog.schema.json'
+CATALOG_SCHEMA_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'static', 'schemas', 'catalog.schema.json')
+
+# Keywords of the schema that JSON imports are checked against. The others
+# only document the format.
+SCHEMA_RULE_KEYWORDS = ('$ref', 'type', 'required', 'properties', 'items', 'minimum', 'minLength', 'maxLength', 'pattern', 'format')
+SCHEMA_NOTE_KEYWORDS = ('$schema', '$id', '$defs', 'title', 'description')
+
+# How schema types are named in error messages
+SCHEMA_TYPE_NAMES = {
+    'object': 'an object',
+    'array': 'a list',
+    'string': 'text',
+    'integer': 'a whole number',
+    'number': 'a number',
+    'null': 'empty',
+}
+
+CATALOG_FORMATS = ('json', 'csv')
+
+# All-time views of an imported episode, kept from the catalog when missing
+def optional_views(value):
+    if value is None or value == '':
+        return None
+    if isinstance(value, str) and value.strip().isdigit():
+        value = int(value)
+    if not isinstance(value, int) or isinstance(value, bool) or value < 0:
+        raise ValueError('Must be a whole number of views')
+    
+    return value
+
+# Subtitle tracks of an episode, as listed in anime_data.json
+def subtitle_tracks(value):
+    if value is None:
+        return None
+    if not isinstance(value, list) or not all(
+        isinstance(track, dict)
+        and isinstance(track.get('language'), str) and track['language'].strip()
+        and isinstance(track.get('url'), str) and track['url'].strip()
+        and isinstance(track.get('label', ''), str)
+        for track in value
+    ):
+        raise ValueError('Must be a list of tracks with a language and a url')
+    
+    return [{key: track[key] for key in ('language', 'label', 'url') if key in track} for track in value]
+
+# Episode fields of JSON imports. CSV files have no subtitles column, so the
+# subtitles of their episodes are kept from the catalog
+IMPORT_EPISODE_FIELDS = {**EPISODE_FIELDS, 'views': optional_views, 'subtitles': subtitle_tracks}
+CSV_EPISODE_FIELDS = {**EPISODE_FIELDS, 'views': optional_views}
+
+# Separator of the list columns of the CSV format, titles may contain commas
+CSV_LIST_SEPARATOR = '|'
+
+# CSV columns and the catalog field of each: one row per episode, with the
+# anime and season columns repeated on each of their rows
+CSV_ANIME_COLUMNS = {
+    'anime_id': 'id',
+    'anime_title': 'title',
+    'alt_titles': 'alt_titles',
+    'anime_description': 'description',
+    'image_url': 'image_url',
+    'genres': 'genres',
+}
+
+CSV_SEASON_COLUMNS = {
+    'season': 'number',
+    'season_title': 'title',
+    'season_intro_start': 'intro_start',
+    'season_intro_end': 'intro_end',
+    'season_outro_start': 'outro_start',
+}
+
+CSV_EPISODE_COLUMNS = {
+    'episode': 'number',
+    'episode_title': 'title',
+    'episode_description': 'description',
+    'video_url': 'video_url',
+    'duration': 'duration',
+    'release_date': 'release_date',
+    'views': 'views',
+    'intro_start': 'intro_start',
+    'intro_end': 'intro_end',
+    'outro_start': 'outro_start',
+}
+
+CSV_COLUMNS = [*CSV_ANIME_COLUMNS, *CSV_SEASON_COLUMNS, *CSV_EPISODE_COLUMNS]
+
+# Columns holding lists
+CSV_LIST_COLUMNS = ('alt_titles', 'genres')
+
+def guess_catalog_format(filename):
+    """
+    Pick the file format from a file name.
+    
+    Args:
+        filename (str): The file name, "-" for the standard streams
+    
+    Returns:
+        str: 'csv' for .csv files, otherwise 'json'
+    """
+    return 'csv' if filename.lower().endswith('.csv') else 'json'
+
+def export_catalog(anime_list, file_format):
+    """
+    Write anime in one of the catalog formats.
+    
+    Args:
+        anime_list (list): The anime to export
+        file_format (str): 'json' or 'csv'
+    
+    Returns:
+        str: The file content
+    """
+    if file_format == 'json':
+        return json.dumps({"$schema": CATALOG_SCHEMA_URL, "anime": anime_list}, ensure_ascii=False, indent=4) + '\n'
+    
+    output = io.StringIO()
+    writer = csv.DictWriter(output, fieldnames=CSV_COLUMNS, lineterminator='\n')
+    writer.writeheader()
+    
+    for anime in anime_list:
+        anime_row = get_csv_values(anime, CSV_ANIME_COLUMNS)
+        
+        # Anime without seasons and seasons without episodes still get a row
+        if not anime.get('seasons'):
+            writer.writerow(anime_row)
+        
+        for season in anime.get('seasons', []):
+            season_row = dict(anime_row, **get_csv_values(season, CSV_SEASON_COLUMNS))
+            
+            if not season.get('episodes'):
+                writer.writerow(season_row)
+            
+            for episode in season.get('episodes', []):
+                writer.writerow(dict(season_row, **get_csv_values(episode, CSV_EPISODE_COLUMNS)))
+    
+    return output.getvalue()
+
+# Format the fields of a catalog item as CSV values
+def get_csv_values(item, columns):
+    values = {}
+    
+    for column, field in columns.items():
+        value = item.get(field)
+        
+        if value is None:
+            values[column] = ''
+        elif isinstance(value, list):
+            values[column] = CSV_LIST_SEPARATOR.join(value)
+        else:
+            values[column] = value
+    
+    return values
+
+def read_catalog_json(text):
+    """
+    Read a JSON catalog file.
+    
+    Args:
+        text (str): The file content
+    
+    Returns:
+        tuple: The anime of the file, not validated yet, and the errors of the
+               values that do not follow the catalog schema
+    
+    Raises:
+        CatalogError: If the file is not a JSON object with an "anime" list
+    """
+    try:
+        data = json.loads(text)
+    except json.JSONDecodeError as e:
+        raise CatalogError(f'Invalid JSON: {e}') from None
+    
+    if not isinstance(data, dict) or not isinstance(data.get('anime'), list):
+        raise CatalogError(f'Expected a JSON object with an "anime" list, see {CATALOG_SCHEMA_URL}')
+    
+    with open(CATALOG_SCHEMA_PATH, encoding='utf-8') as f:
+        schema = json.load(f)
+    
+    return data['anime'], check_schema(data, schema, schema)
+
+def check_schema(value, schema, root, row=None, field=None):
+    """
+    Check a JSON value against a schema of the catalog format. Only the
+    keywords of SCHEMA_RULE_KEYWORDS are supported.
+    
+    Args:
+        value: The value to check
+        schema (dict): Its schema
+        root (dict): The whole schema, which "$ref" paths start from
+        row (str): Where the object holding the value is, e.g. anime[0].seasons[1] (optional)
+        field (str): Key of the value in that object, None for the object itself
+    
+    Returns:
+        list: The errors, with the row, field and message of each
+    
+    Raises:
+        ValueError: If the schema uses a keyword that is not supported
+    """
+    unsupported = [keyword for keyword in schema if keyword not in SCHEMA_RULE_KEYWORDS + SCHEMA_NOTE_KEYWORDS]
+    
+    if unsupported:
+        raise ValueError(f'Unsupported schema keywords: {", ".join(unsupported)}')
+    
+    if '$ref' in schema:
+        target = root
+        for key in schema['$ref'].lstrip('#/').split('/'):
+            target = target[key]
+        return check_schema(value, target, root, row, field)
+    
+    def error(message):
+        return [{'row': row, 'field': field, 'message': message}]
+    
+    # Where the items of an object or list are
+    path = field if row is None else row if field is None else f'{row}.{field}'
+    
+    types = schema.get('type', [])
+    types = [types] if isinstance(types, str) else types
+    
+    if types and get_schema_type(value) not in types and not (get_schema_type(value) == 'integer' and 'number' in types):
+        return error(f'Must be {" or ".join(SCHEMA_TYPE_NAMES[t] for t in types)}')
+    
+    if isinstance(value, dict):
+        errors = [
+            {'row': path, 'field': key, 'message': 'Required'}
+            for key in schema.get('required', []) if key not in value
+        ]
+        
+        for key, property_schema in schema.get('properties', {}).items():
+            if key in value:
+                errors.extend(check_schema(value[key], property_schema, root, path, key))
+        
+        return errors
+    
+    if isinstance(value, list):
+        errors = []
+        
+        for index, item in enumerate(value):
+            errors.extend(check_schema(item, schema.get('items', {}), root, f'{path}[{index}]'))
+        
+        return errors
+    
+    if isinstance(value, (int, float)) and not isinstance(value, bool):
+        if 'minimum' in schema and value < schema['minimum']:
+            return error(f'Must be at least {schema["minimum"]}')
+    
+    if isinstance(value, str):
+        if len(value) < schema.get('minLength', 0):
+            return error('Required' if schema['minLength'] == 1 else f'At least {schema["minLength"]} characters')
+        if 'maxLength' in schema and len(value) > schema['maxLength']:
+            return error(f'At most {schema["maxLength"]} characters')
+        if 'pattern' in schema and not re.search(schema['pattern'], value):
+            description = schema.get('description')
+            return error(f'Expected {description[0].lower()}{description[1:]}' if description else f'Must match {schema["pattern"]}')
+        if schema.get('format') == 'date':
+            try:
+                date.fromisoformat(value)
+            except ValueError:
+                return error('Must be a date (YYYY-MM-DD)')
+    
+    return []
+
+# JSON Schema type of a value read from JSON
+def get_schema_type(value):
+    if value is None:
+        return 'null'
+    if isinstance(value, bool):
+        return 'boolean'
+    if isinstance(value, int):
+        return 'integer'
+    if isinstance(value, float):
+        return 'number'
+    if isinstance(value, str):
+        return 'string'
+    if isinstance(value, list):
+        return 'array'
+    return 'object'
+
+def read_catalog_csv(text):
+    """
+    Read a CSV catalog file and rebuild the anime, seasons and episodes of its rows.
+    
+    Args:
+        text (str): The file content
+    
+    Returns:
+        tuple: The anime of the file, not validated yet, each item with the
+               "_row" it comes from, and the errors of rows that disagree
+    
+    Raises:
+        CatalogError: If columns are missing
+    """
+    reader = csv.DictReader(io.StringIO(text))
+    missing = [column for column in CSV_COLUMNS if column not in (reader.fieldnames or [])]
+    
+    if missing:
+        raise CatalogError(f'Missing CSV columns: {", ".join(missing)}')
+    
+    anime_list = []
+    anime_by_id = {}
+    errors = []
+    
+    # Row 1 is the header
+    for row_number, row in enumerate(reader, start=2):
+        row_label = f'row {row_number}'
+        values = {
+            column: [item.strip() for item in (value or '').split(CSV_LIST_SEPARATOR)] if column in CSV_LIST_COLUMNS else (value or '').strip()
+            for column, value in row.items()
+            if column in CSV_COLUMNS
+        }
+        
+        anime = anime_by_id.get(values['anime_id'])
+        
+        if anime is None:
+            anime = get_csv_item(values, CSV_ANIME_COLUMNS, row_label)
+            anime['seasons'] = []
+            anime_by_id[values['anime_id']] = anime
+            anime_list.append(anime)
+        else:
+            errors.extend(compare_csv_item(anime, values, CSV_ANIME_COLUMNS, row_label))
+        
+        if not values['season']:
+            if values['episode']:
+                errors.append({'row': row_label, 'field': 'season', 'message': 'Required for an episode'})
+            continue
+        
+        season = next((s for s in anime['seasons'] if s['number'] == values['season']), None)
+        
+        if season is None:
+            season = get_csv_item(values, CSV_SEASON_COLUMNS, row_label)
+            season['episodes'] = []
+            anime['seasons'].append(season)
+        else:
+            errors.extend(compare_csv_item(season, values, CSV_SEASON_COLUMNS, row_label))
+        
+        if values['episode']:
+            season['episodes'].append(get_csv_item(values, CSV_EPISODE_COLUMNS, row_label))
+    
+    return anime_list, errors
+
+# Build a catalog item from the columns of a CSV row
+def get_csv_item(values, columns, row_label):
+    item = {field: values[column] for column, field in columns.items()}
+    item['_row'] = row_label
+    return item
+
+# Check that the repeated anime or season columns of a row match its first row
+def compare_csv_item(item, values, columns, row_label):
+    return [
+        {'row': row_label, 'field': column, 'message': f'Differs from {item["_row"]}'}
+        for column, field in columns.items()
+        if values[column] != item[field]
+    ]
+
+def validate_catalog(raw_anime, episode_fields=IMPORT_EPISODE_FIELDS):
+    """
+    Validate imported anime with the rules of the admin forms, plus the rules
+    of whole catalogs: unique anime IDs, unique season numbers, and unique and
+    contiguous episode numbers.
+    
+    Args:
+        raw_anime (list): Anime read from a JSON or CSV file
+        episode_fields (dict): Cleaners of the episode fields
+    
+    Returns:
+        tuple: The cleaned anime, and a list of errors with the row, field and message of each
+    """
+    catalog = []
+    errors = []
+    rows_by_id = {}
+    
+    def clean(item, fields, row_label):
+        try:
+            return clean_fields(item, fields)
+        except CatalogError as e:
+            errors.extend({'row': row_label, 'field': field, 'message': message} for field, message in e.fields.items())
+            if not e.fields:
+                errors.append({'row': row_label, 'field': None, 'message': e.message})
+            return None
+    
+    def children(item, key, row_label):
+        value = item.get(key, [])
+        if isinstance(value, list):
+            return value
+        errors.append({'row': row_label, 'field': key, 'message': 'Must be a list'})
+        return []
+    
+    for anime_index, raw in enumerate(raw_anime):
+        anime_row = get_row_label(raw, f'anime[{anime_index}]')
+        anime = clean(raw, {'id': positive_int, **ANIME_FIELDS}, anime_row)
+        
+        if anime and anime['id'] in rows_by_id:
+            errors.append({'row': anime_row, 'field': 'id', 'message': f'Anime {anime["id"]} is already in {rows_by_id[anime["id"]]}'})
+        elif anime:
+            rows_by_id[anime['id']] = anime_row
+        
+        seasons = []
+        
+        for season_index, raw_season in enumerate(children(raw, 'seasons', anime_row) if isinstance(raw, dict) else []):
+            season_row = get_row_label(raw_season, f'{anime_row}.seasons[{season_index}]')
+            season = clean(raw_season, SEASON_FIELDS, season_row)
+            
+            if season and any(s['number'] == season['number'] for s in seasons):
+                errors.append({'row': season_row, 'field': 'number', 'message': f'Season {season["number"]} appears twice'})
+            
+            episodes = []
+            episode_rows = {}
+            
+            for episode_index, raw_episode in enumerate(children(raw_season, 'episodes', season_row) if isinstance(raw_season, dict) else []):
+                episode_row = get_row_label(raw_episode, f'{season_row}.episodes[{episode_index}]')
+                episode = clean(raw_episode, episode_fields, episode_row)
+                
+                if not episode:
+                    continue
+                
+                if episode['number'] in episode_rows:
+                    errors.append({'row': episode_row, 'field': 'number', 'message': f'Episode {episode["number"]} is already in {episode_rows[episode["number"]]}'})
+                    continue
+                
+                episode_rows[episode['number']] = episode_row
+                episodes.append(episode)
+            
+            # Episode numbers may start anywhere, but must not skip any number
+            numbers = sorted(episode_rows)
+            
+            for previous, number in zip(numbers, numbers[1:]):
+                if number != previous + 1:
+                    errors.append({'row': episode_rows[number], 'field': 'number', 'message': f'Episode numbers must be contiguous: {previous} is followed by {number}'})
+            
+            if season:
+                season['episodes'] = episodes
+                seasons.append(season)
+        
+        if anime:
+            anime['seasons'] = seasons
+            catalog.append(anime)
+    
+    return catalog, errors
+
+# Where an imported item comes from: its CSV row, or its position in the JSON file
+def get_row_label(item, position):
+    return item.get('_row', position) if isinstance(item, dict) else position
+
+def merge_anime(anime, imported):
+    """
+    Replace an anime with an imported version. Seasons and episodes missing
+    from the import are removed; the views and subtitles of kept episodes stay
+    unless the import gives them.
+    
+    Args:
+        anime (dict): The anime of the catalog, changed in place
+        imported (dict): The validated imported anime
+    """
+    apply_fields(anime, {key: value for key, value in imported.items() if key not in ('id', 'seasons')})
+    current_seasons = {season.get('number'): season for season in anime.get('seasons', [])}
+    seasons = []
+    
+    for imported_season in imported['seasons']:
+        season = current_seasons.get(imported_season['number'], {})
+        apply_fields(season, {key: value for key, value in imported_season.items() if key != 'episodes'})
+        current_episodes = {episode.get('number'): episode for episode in season.get('episodes', [])}
+        episodes = []
+        
+        for imported_episode in imported_season['episodes']:
+            episode = current_episodes.get(imported_episode['number'], {})
+            fields = dict(imported_episode)
+            
+            if fields.get('views') is None:
+                fields.pop('views', None)
+            
+            apply_fields(episode, fields)
+            episode.setdefault('views', 0)
+            episodes.append(episode)
+        
+        season['episodes'] = episodes
+        seasons.append(season)
+    
+    anime['seasons'] = seasons
+
+def import_catalog(anime_data, imported, replace=False):
+    """
+    Add the imported anime to the catalog, replacing those with the same ID.
+    
+    Args:
+        anime_data (dict): The catalog, changed in place
+        imported (list): The validated imported anime
+        replace (bool): Also remove the anime that are not imported
+    
+    Returns:
+        dict: The titles of the "added", "updated" and "removed" anime
+    """
+    anime_list = anime_data.setdefault('anime', [])
+    summary = {'added': [], 'updated': [], 'removed': []}
+    
+    for item in imported:
+        anime = next((a for a in anime_list if str(a.get('id')) == str(item['id'])), None)
+        
+        if anime is None:
+            anime = {'id': item['id']}
+            anime_list.append(anime)
+            summary['added'].append(item['title'])
+        else:
+            summary['updated'].append(item['title'])
+        
+        merge_anime(anime, item)
+    
+    if replace:
+        imported_ids = {str(item['id']) for item in imported}
+        summary['removed'] = [a.get('title') for a in anime_list if str(a.get('id')) not in imported_ids]
+        anime_data['anime'] = [a for a in anime_list if str(a.get('id')) in imported_ids]
+    
+    return summary
+
+def run_catalog_import(data_path, text, file_format, replace=False, dry_run=False):
+    """
+    Validate a catalog file and import it into anime_data.json. Nothing is
+    written when the file has errors or in a dry run.
+    
+    Args:
+        data_path (str): Path of anime_data.json
+        text (str): The file content
+        file_format (str): 'json' or 'csv'
+        replace (bool): Also remove the anime that are not in the file
+        dry_run (bool): Only report what the import would change
+    
+    Returns:
+        tuple: The summary of import_catalog, or None if the file is invalid,
+               and the list of errors
+    """
+    try:
+        if file_format == 'csv':
+            raw_anime, errors = read_catalog_csv(text)
+            anime, validation_errors = validate_catalog(raw_anime, CSV_EPISODE_FIELDS)
+        else:
+            raw_anime, errors = read_catalog_json(text)
+            # The rules of the importer would report most schema errors again
+            anime, validation_errors = validate_catalog(raw_anime) if not errors else ([], [])
+    except CatalogError as e:
+        return None, [{'row': None, 'field': None, 'message': e.message}]
+    
+    errors = errors + validation_errors
+    
+    if errors:
+        return None, errors
+    
+    if dry_run:
+        return import_catalog(copy.deepcopy(read_json(data_path, {"anime": []})), anime, replace), []
+    
+    return edit_catalog(data_path, lambda anime_data: import_catalog(anime_data, anime, replace)), []
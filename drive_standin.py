@@ -0,0 +1,36 @@
+"""
+Local stand-in for Google Drive, so the link checker and downloads can be
+tried without a network. Files are served from DRIVE_STANDIN_FOLDER
+(drive_files by default), each named by its Drive file ID; any other ID
+answers 404 like a deleted Drive file.
+
+    flask --app drive_standin run --port 5001
+    flask --app main catalog check-links --drive-url http://localhost:5001
+"""
+import os
+from flask import Flask, abort, request, send_from_directory
+from markupsafe import escape
+
+app = Flask(__name__)
+
+DRIVE_FILES_FOLDER = os.path.abspath(os.environ.get('DRIVE_STANDIN_FOLDER', 'drive_files'))
+
+# Check that a file ID names a file of the stand-in folder
+def get_drive_file(file_id):
+    if not file_id or file_id.startswith('.') or '/' in file_id or '\\' in file_id:
+        abort(404)
+    if not os.path.isfile(os.path.join(DRIVE_FILES_FOLDER, file_id)):
+        abort(404)
+    return file_id
+
+# Player page, like https://drive.google.com/file/d/<id>/preview
+@app.route('/file/d/<file_id>/preview')
+def preview(file_id):
+    file_id = get_drive_file(file_id)
+    return f'<!DOCTYPE html><video src="/uc?export=download&amp;id={escape(file_id)}" controls></video>'
+
+# Download, like https://drive.google.com/uc?export=download&id=<id>
+@app.route('/uc')
+def download():
+    file_id = get_drive_file(request.args.get('id', ''))
+    return send_from_directory(DRIVE_FILES_FOLDER, file_id, as_attachment=True)
@@ -0,0 +1,226 @@
+import os
+import urllib.error
+import urllib.request
+from datetime import datetime, timezone
+from urllib.parse import urlparse
+from werkzeug.security import safe_join
+from storage import data_lock, read_json, write_json_atomic
+from video_providers import is_static_path, resolve_video
+from view_stats import get_episode_key
+
+LINK_STATUS_SCHEMA_VERSION = 1
+
+# Results of a check: the server answered that the video is missing or private
+# ("unavailable"), or did not answer at all ("unreachable"). Only unavailable
+# episodes get a badge, an offline checker must not flag the whole catalog.
+LINK_AVAILABLE = 'available'
+LINK_UNAVAILABLE = 'unavailable'
+LINK_UNREACHABLE = 'unreachable'
+
+# Seconds to wait for each URL
+LINK_CHECK_TIMEOUT = 10
+
+# Replaced by the --drive-url of the checker, e.g. the local stand-in of drive_standin.py
+DRIVE_ORIGIN = 'https://drive.google.com'
+
+# Drive answers private files with a redirect to its sign-in page
+DRIVE_SIGN_IN_HOST = 'accounts.google.com'
+
+def load_link_status(status_path):
+    """
+    Read the saved link checks and user reports.
+    
+    Args:
+        status_path (str): Path of the link status file
+    
+    Returns:
+        dict: The "episodes" checks and the "reports", both keyed by episode key
+    """
+    status = read_json(status_path, None)
+    
+    if not status or status.get('version') != LINK_STATUS_SCHEMA_VERSION:
+        return {"episodes": {}, "reports": {}}
+    
+    return {"episodes": status.get('episodes', {}), "reports": status.get('reports', {})}
+
+def is_episode_unavailable(link_status, anime_id, season, episode):
+    """
+    Check whether the last check found the video of an episode unavailable.
+    Checks of a video URL that has been changed since are ignored.
+    
+    Args:
+        link_status (dict): Result of load_link_status
+        anime_id: The anime ID
+        season (dict): The season
+        episode (dict): The episode
+    
+    Returns:
+        bool: True if the episode should be shown as unavailable
+    """
+    check = link_status['episodes'].get(get_episode_key(anime_id, season.get('number'), episode.get('number')))
+    return bool(check) and check.get('status') == LINK_UNAVAILABLE and check.get('video_url') == episode.get('video_url')
+
+def request_url(url, timeout):
+    """
+    Ask a server for the first byte of a URL.
+    
+    Args:
+        url (str): The URL to check
+        timeout (float): Seconds to wait for the answer
+    
+    Returns:
+        tuple: The status and the error message, None when available
+    """
+    request = urllib.request.Request(url, headers={'Range': 'bytes=0-0', 'User-Agent': 'AnimeZone-LinkChecker/1.0'})
+    
+    try:
+        with urllib.request.urlopen(request, timeout=timeout) as response:
+            if urlparse(response.geturl()).netloc == DRIVE_SIGN_IN_HOST:
+                return LINK_UNAVAILABLE, 'The file is private'
+            return LINK_AVAILABLE, None
+    except urllib.error.HTTPError as e:
+        return LINK_UNAVAILABLE, f'HTTP {e.code}'
+    except urllib.error.URLError as e:
+        return LINK_UNREACHABLE, str(e.reason)
+    except OSError as e:
+        # Timeouts while reading the answer
+        return LINK_UNREACHABLE, str(e)
+
+def check_episode_link(video_url, static_folder, drive_base_url=None, timeout=LINK_CHECK_TIMEOUT):
+    """
+    Check that the player and download URLs of an episode video can be loaded.
+    The URLs are resolved by the video providers, like on the video page.
+    
+    Args:
+        video_url (str): The episode video URL
+        static_folder (str): Folder of the site's /static files
+        drive_base_url (str): Origin used instead of Google Drive (optional)
+        timeout (float): Seconds to wait for each URL
+    
+    Returns:
+        tuple: The status and the error message, None when available
+    """
+    video = resolve_video(video_url)
+    
+    if not video:
+        return LINK_UNAVAILABLE, 'No video provider supports this URL'
+    
+    urls = [video['embed_url']]
+    
+    if video['download_url'] and video['download_url'] != video['embed_url']:
+        urls.append(video['download_url'])
+    
+    for url in urls:
+        if is_static_path(url):
+            # safe_join refuses absolute and parent paths, which are never served either
+            file_path = safe_join(static_folder, urlparse(url).path[len('/static/'):])
+            
+            if file_path is None:
+                result = (LINK_UNAVAILABLE, 'Outside the static folder')
+            elif os.path.isfile(file_path):
+                result = (LINK_AVAILABLE, None)
+            else:
+                result = (LINK_UNAVAILABLE, 'File not found')
+        else:
+            if drive_base_url and url.startswith(DRIVE_ORIGIN + '/'):
+                url = drive_base_url.rstrip('/') + url[len(DRIVE_ORIGIN):]
+            result = request_url(url, timeout)
+        
+        if result[0] != LINK_AVAILABLE:
+            return result
+    
+    return LINK_AVAILABLE, None
+
+def check_catalog_links(anime_list, status_path, static_folder, drive_base_url=None, timeout=LINK_CHECK_TIMEOUT,
+                        anime_id=None, reported_only=False, on_result=None):
+    """
+    Check the video of every episode and save the results. Reports of the
+    checked episodes are cleared, the check now tells whether they were right.
+    
+    Args:
+        anime_list (list): The anime catalog
+        status_path (str): Path of the link status file
+        static_folder (str): Folder of the site's /static files
+        drive_base_url (str): Origin used instead of Google Drive (optional)
+        timeout (float): Seconds to wait for each URL
+        anime_id (str): Only check this anime (optional)
+        reported_only (bool): Only check the episodes reported by users
+        on_result (callable): Called with each result as soon as it is known (optional)
+    
+    Returns:
+        list: A result per checked episode, with its anime, season, episode,
+              key, video_url, status, error and number of reports
+    """
+    reports = load_link_status(status_path)['reports']
+    results = []
+    
+    for anime in anime_list:
+        if anime_id is not None and str(anime.get('id')) != str(anime_id):
+            continue
+        
+        for season in anime.get('seasons', []):
+            for episode in season.get('episodes', []):
+                key = get_episode_key(anime.get('id'), season.get('number'), episode.get('number'))
+                
+                if reported_only and key not in reports:
+                    continue
+                
+                status, error = check_episode_link(episode.get('video_url', ''), static_folder, drive_base_url, timeout)
+                result = {
+                    'anime': anime.get('title'),
+                    'season': season.get('number'),
+                    'episode': episode.get('number'),
+                    'key': key,
+                    'video_url': episode.get('video_url', ''),
+                    'status': status,
+                    'error': error,
+                    'reports': reports.get(key, {}).get('count', 0),
+                }
+                results.append(result)
+                
+                if on_result:
+                    on_result(result)
+    
+    # The checks can take minutes, so the file is only locked to save them
+    checked_at = datetime.now(timezone.utc).isoformat(timespec='seconds')
+    
+    with data_lock(status_path):
+        link_status = load_link_status(status_path)
+        
+        for result in results:
+            link_status['episodes'][result['key']] = {
+                'status': result['status'],
+                'error': result['error'],
+                'video_url': result['video_url'],
+                'checked_at': checked_at,
+            }
+            link_status['reports'].pop(result['key'], None)
+        
+        write_json_atomic(status_path, {"version": LINK_STATUS_SCHEMA_VERSION, **link_status})
+    
+    return results
+
+def record_link_report(status_path, anime_id, season, episode):
+    """
+    Count a user report of a broken episode video until the next check.
+    
+    Args:
+        status_path (str): Path of the link status file
+        anime_id: The anime ID
+        season: The season number
+        episode: The episode number
+    
+    Returns:
+        int: The number of reports of the episode
+    """
+    key = get_episode_key(anime_id, season, episode)
+    
+    with data_lock(status_path):
+        link_status = load_link_status(status_path)
+        report = link_status['reports'].get(key, {})
+        link_status['reports'][key] = {
+            'count': report.get('count', 0) + 1,
+            'last_reported_at': datetime.now(timezone.utc).isoformat(timespec='seconds'),
+        }
+        write_json_atomic(status_path, {"version": LINK_STATUS_SCHEMA_VERSION, **link_status})
+        return link_status['reports'][key]['count']
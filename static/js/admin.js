@@ -0,0 +1,607 @@
+/**
+ * Anime Zone - Catalog Admin JavaScript
+ *
+ * This file runs the /admin page: it lists the catalog from /api/admin/anime
+ * and creates, edits, reorders and deletes anime, seasons and episodes through
+ * the admin endpoints. The catalog is reloaded after every change, so the page
+ * always shows what was saved.
+ */
+
+// Wait until the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', function() {
+    // Initialize the catalog admin
+    initAdmin();
+});
+
+// Skip markers, in seconds, that seasons and episodes can set
+const SKIP_MARKER_FORM_FIELDS = [
+    { name: 'intro_start', label: 'Intro start (s)', type: 'number', step: 'any' },
+    { name: 'intro_end', label: 'Intro end (s)', type: 'number', step: 'any' },
+    { name: 'outro_start', label: 'Credits start (s)', type: 'number', step: 'any' }
+];
+
+// Form fields of each catalog item, validated again by the server
+const ANIME_FORM_FIELDS = [
+    { name: 'title', label: 'Title', required: true },
+    { name: 'alt_titles', label: 'Alternative titles', type: 'list', placeholder: 'Comma separated' },
+    { name: 'genres', label: 'Genres', type: 'list', placeholder: 'Comma separated' },
+    { name: 'image_url', label: 'Image URL', placeholder: 'https://… or /static/…' },
+    { name: 'description', label: 'Description', type: 'textarea' }
+];
+
+const SEASON_FORM_FIELDS = [
+    { name: 'number', label: 'Number', type: 'number', placeholder: 'Next' },
+    { name: 'title', label: 'Title' },
+    ...SKIP_MARKER_FORM_FIELDS
+];
+
+const EPISODE_FORM_FIELDS = [
+    { name: 'number', label: 'Number', type: 'number', placeholder: 'Next' },
+    { name: 'title', label: 'Title' },
+    { name: 'video_url', label: 'Video URL', required: true, placeholder: 'https://drive.google.com/file/d/…/view' },
+    { name: 'duration', label: 'Duration (min)', type: 'number' },
+    { name: 'release_date', label: 'Release date', type: 'date' },
+    ...SKIP_MARKER_FORM_FIELDS,
+    { name: 'description', label: 'Description', type: 'textarea' }
+];
+
+// Catalog from /api/admin/anime and the anime open in the editor
+let adminCatalog = [];
+let selectedAnimeId = null;
+
+// Hides the status bar message
+let adminStatusTimer = null;
+
+/**
+ * Initialize the catalog admin
+ */
+function initAdmin() {
+    const newAnimeButton = document.querySelector('.admin-new-anime');
+    
+    if (!newAnimeButton) return;
+    
+    newAnimeButton.addEventListener('click', function() {
+        selectedAnimeId = null;
+        renderAdminAnimeList();
+        renderNewAnimeForm();
+    });
+    
+    loadAdminCatalog();
+}
+
+/**
+ * Send a request to an admin endpoint with the CSRF token of the page
+ * @param {string} method - HTTP method
+ * @param {string} url - The endpoint
+ * @param {Object} body - JSON body (optional)
+ * @returns {Promise<Object|null>} The JSON response, or null when it has no content.
+ *     Rejected with an Error carrying the invalid "fields" of the response.
+ */
+function adminRequest(method, url, body) {
+    const token = document.querySelector('meta[name="csrf-token"]').getAttribute('content');
+    
+    return fetch(url, {
+        method: method,
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': token },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    }).then(response => {
+        // The session expired: log in again
+        if (response.status === 401) {
+            window.location.href = '/admin/login';
+        }
+        
+        if (response.status === 204) return null;
+        
+        return response.json().catch(() => ({})).then(data => {
+            if (!response.ok) {
+                const error = new Error(data.error || 'The request failed. Please try again.');
+                error.fields = data.fields || {};
+                throw error;
+            }
+            return data;
+        });
+    });
+}
+
+/**
+ * Reload the catalog, then the list and the open anime
+ * @returns {Promise} Resolved once rendered
+ */
+function loadAdminCatalog() {
+    return adminRequest('GET', '/api/admin/anime')
+        .then(data => {
+            adminCatalog = data.anime || [];
+            renderAdminAnimeList();
+            
+            const anime = getSelectedAnime();
+            
+            if (anime) {
+                renderAnimeEditor(anime);
+            } else {
+                selectedAnimeId = null;
+                renderEmptyEditor();
+            }
+        })
+        .catch(error => {
+            console.error('Error loading the catalog:', error);
+            showAdminStatus(error.message, 'error');
+        });
+}
+
+/**
+ * Get the anime open in the editor
+ * @returns {Object|null} The anime, or null if none is open
+ */
+function getSelectedAnime() {
+    return adminCatalog.find(anime => String(anime.id) === String(selectedAnimeId)) || null;
+}
+
+/**
+ * Build the admin endpoint of an anime, a season or an episode
+ * @param {string|number} animeId - The anime ID
+ * @param {string|number} season - The season number (optional)
+ * @param {string|number} episode - The episode number (optional)
+ * @returns {string} The endpoint URL
+ */
+function getAdminUrl(animeId, season, episode) {
+    let url = `/api/admin/anime/${encodeURIComponent(animeId)}`;
+    
+    if (season !== undefined) {
+        url += `/seasons/${encodeURIComponent(season)}`;
+    }
+    
+    if (episode !== undefined) {
+        url += `/episodes/${encodeURIComponent(episode)}`;
+    }
+    
+    return url;
+}
+
+/**
+ * Send a change, then report it and reload the catalog
+ * @param {Promise} request - The admin request
+ * @param {string} message - Shown once saved
+ * @returns {Promise} Resolved once reloaded, rejected if the change failed
+ */
+function saveAdminChange(request, message) {
+    return request.then(result => {
+        showAdminStatus(message, 'success');
+        return loadAdminCatalog().then(() => result);
+    });
+}
+
+/**
+ * Move an item one place up or down and save the new order
+ * @param {Array} items - Anime, seasons or episodes in their current order
+ * @param {number} index - Position of the item to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @param {string} key - 'id' or 'number'
+ * @param {string} url - The order endpoint
+ */
+function moveAdminItem(items, index, offset, key, url) {
+    const target = index + offset;
+    
+    if (target < 0 || target >= items.length) return;
+    
+    const order = items.map(item => item[key]);
+    [order[index], order[target]] = [order[target], order[index]];
+    
+    saveAdminChange(adminRequest('PUT', url, { order: order }), 'Order saved')
+        .catch(error => showAdminStatus(error.message, 'error'));
+}
+
+/**
+ * Create a small icon button
+ * @param {string} icon - Font Awesome classes
+ * @param {string} title - Tooltip and accessible name
+ * @param {Function} onClick - Click handler
+ * @param {boolean} disabled - Whether the button is disabled (optional)
+ * @returns {HTMLButtonElement} The button
+ */
+function createAdminIconButton(icon, title, onClick, disabled = false) {
+    const button = createSafeElement('button', 'admin-icon-btn');
+    button.type = 'button';
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.disabled = disabled;
+    button.appendChild(createSafeElement('i', icon));
+    button.addEventListener('click', function(event) {
+        event.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+/**
+ * Create the move up, move down and delete buttons of an item
+ * @param {Array} items - The items of the list
+ * @param {number} index - Position of the item
+ * @param {string} key - 'id' or 'number'
+ * @param {string} orderUrl - The order endpoint of the list
+ * @param {Function} onDelete - Delete handler
+ * @returns {HTMLElement} The buttons
+ */
+function createAdminItemActions(items, index, key, orderUrl, onDelete) {
+    const actions = createSafeElement('div', 'admin-item-actions');
+    
+    actions.appendChild(createAdminIconButton('fas fa-arrow-up', 'Move up', () => {
+        moveAdminItem(items, index, -1, key, orderUrl);
+    }, index === 0));
+    actions.appendChild(createAdminIconButton('fas fa-arrow-down', 'Move down', () => {
+        moveAdminItem(items, index, 1, key, orderUrl);
+    }, index === items.length - 1));
+    actions.appendChild(createAdminIconButton('fas fa-trash', 'Delete', onDelete));
+    
+    return actions;
+}
+
+/**
+ * Create a form for the fields of a catalog item
+ * @param {Array} fields - The form fields
+ * @param {Object} values - Current values of the item
+ * @param {string} submitLabel - Label of the submit button
+ * @param {Function} onSubmit - Receives the form values and returns the save promise
+ * @param {Function} onCancel - Shows a cancel button calling it (optional)
+ * @returns {HTMLFormElement} The form
+ */
+function createAdminForm(fields, values, submitLabel, onSubmit, onCancel) {
+    const form = createSafeElement('form', 'admin-form');
+    
+    // The server validates every field and its errors are shown next to them
+    form.noValidate = true;
+    
+    fields.forEach(field => {
+        const label = createSafeElement('label', `admin-field${field.type === 'textarea' ? ' admin-field-wide' : ''}`);
+        label.appendChild(createSafeElement('span', 'admin-field-label', field.required ? `${field.label} *` : field.label));
+        
+        const input = createSafeElement(field.type === 'textarea' ? 'textarea' : 'input', 'admin-input');
+        input.name = field.name;
+        
+        if (field.type === 'number') {
+            input.type = 'number';
+            input.min = '0';
+            input.step = field.step || '1';
+        } else if (field.type === 'date') {
+            input.type = 'date';
+        } else if (field.type !== 'textarea') {
+            input.type = 'text';
+        }
+        
+        if (field.placeholder) {
+            input.placeholder = field.placeholder;
+        }
+        
+        const value = values[field.name];
+        input.value = value === undefined || value === null ? '' : Array.isArray(value) ? value.join(', ') : value;
+        
+        label.appendChild(input);
+        label.appendChild(createSafeElement('span', 'admin-field-error'));
+        form.appendChild(label);
+    });
+    
+    const actions = createSafeElement('div', 'admin-form-actions');
+    const submitButton = createSafeElement('button', 'btn btn-primary', submitLabel);
+    submitButton.type = 'submit';
+    actions.appendChild(submitButton);
+    
+    if (onCancel) {
+        const cancelButton = createSafeElement('button', 'btn btn-secondary', 'Cancel');
+        cancelButton.type = 'button';
+        cancelButton.addEventListener('click', onCancel);
+        actions.appendChild(cancelButton);
+    }
+    
+    form.appendChild(actions);
+    
+    form.addEventListener('submit', function(event) {
+        event.preventDefault();
+        
+        form.querySelectorAll('.admin-field-error').forEach(error => {
+            error.textContent = '';
+        });
+        submitButton.disabled = true;
+        
+        onSubmit(readAdminForm(form, fields))
+            .catch(error => {
+                Object.entries(error.fields || {}).forEach(([name, message]) => {
+                    const input = form.elements[name];
+                    
+                    if (input) {
+                        input.parentElement.querySelector('.admin-field-error').textContent = message;
+                    }
+                });
+                showAdminStatus(error.message, 'error');
+            })
+            .finally(() => {
+                submitButton.disabled = false;
+            });
+    });
+    
+    return form;
+}
+
+/**
+ * Read the values of an admin form
+ * @param {HTMLFormElement} form - The form
+ * @param {Array} fields - The form fields
+ * @returns {Object} The values, null for empty numbers
+ */
+function readAdminForm(form, fields) {
+    const values = {};
+    
+    fields.forEach(field => {
+        const value = form.elements[field.name].value.trim();
+        
+        if (field.type === 'list') {
+            values[field.name] = value.split(',').map(item => item.trim()).filter(Boolean);
+        } else if (field.type === 'number') {
+            values[field.name] = value === '' ? null : Number(value);
+        } else {
+            values[field.name] = value;
+        }
+    });
+    
+    return values;
+}
+
+/**
+ * Show a message in the status bar of the page
+ * @param {string} message - The message
+ * @param {string} type - 'success' or 'error'
+ */
+function showAdminStatus(message, type) {
+    const status = document.querySelector('.admin-status');
+    
+    if (!status) return;
+    
+    status.textContent = message;
+    status.className = `admin-status visible ${type}`;
+    
+    clearTimeout(adminStatusTimer);
+    adminStatusTimer = setTimeout(() => {
+        status.classList.remove('visible');
+    }, 4000);
+}
+
+/**
+ * Render the anime list of the sidebar
+ */
+function renderAdminAnimeList() {
+    const list = document.querySelector('.admin-anime-list');
+    
+    list.innerHTML = '';
+    
+    adminCatalog.forEach((anime, index) => {
+        const item = createSafeElement('li', 'admin-anime-item');
+        item.classList.toggle('active', String(anime.id) === String(selectedAnimeId));
+        
+        const selectButton = createSafeElement('button', 'admin-anime-select');
+        selectButton.type = 'button';
+        selectButton.appendChild(createSafeElement('span', 'admin-anime-title', anime.title || 'Untitled'));
+        
+        const episodes = (anime.seasons || []).reduce((total, season) => total + (season.episodes || []).length, 0);
+        selectButton.appendChild(createSafeElement('span', 'admin-anime-meta', `#${anime.id} · ${episodes} ${episodes === 1 ? 'episode' : 'episodes'}`));
+        selectButton.addEventListener('click', function() {
+            selectedAnimeId = anime.id;
+            renderAdminAnimeList();
+            renderAnimeEditor(anime);
+        });
+        
+        item.appendChild(selectButton);
+        item.appendChild(createAdminItemActions(adminCatalog, index, 'id', '/api/admin/anime/order', () => deleteAdminAnime(anime)));
+        list.appendChild(item);
+    });
+    
+    if (adminCatalog.length === 0) {
+        list.appendChild(createSafeElement('li', 'no-results', 'The catalog is empty.'));
+    }
+}
+
+/**
+ * Show the editor placeholder
+ */
+function renderEmptyEditor() {
+    const editor = document.querySelector('.admin-editor');
+    
+    editor.innerHTML = '';
+    editor.appendChild(createSafeElement('div', 'no-results', 'Select an anime to edit it, or create a new one.'));
+}
+
+/**
+ * Show the form creating an anime
+ */
+function renderNewAnimeForm() {
+    const editor = document.querySelector('.admin-editor');
+    
+    editor.innerHTML = '';
+    editor.appendChild(createSafeElement('h2', 'admin-editor-title', 'New Anime'));
+    editor.appendChild(createAdminForm(ANIME_FORM_FIELDS, {}, 'Create Anime', values => {
+        return adminRequest('POST', '/api/admin/anime', values).then(anime => {
+            selectedAnimeId = anime.id;
+            showAdminStatus(`${anime.title} created`, 'success');
+            return loadAdminCatalog();
+        });
+    }, renderEmptyEditor));
+}
+
+/**
+ * Render the editor of an anime with its seasons and episodes
+ * @param {Object} anime - The anime
+ */
+function renderAnimeEditor(anime) {
+    const editor = document.querySelector('.admin-editor');
+    const seasons = anime.seasons || [];
+    
+    editor.innerHTML = '';
+    
+    const header = createSafeElement('div', 'admin-editor-header');
+    header.appendChild(createSafeElement('h2', 'admin-editor-title', anime.title || 'Untitled'));
+    
+    const pageLink = createSafeElement('a', 'video-action-btn', 'View Page');
+    pageLink.href = `/anime/${encodeURIComponent(anime.id)}`;
+    pageLink.target = '_blank';
+    pageLink.rel = 'noopener';
+    header.appendChild(pageLink);
+    editor.appendChild(header);
+    
+    editor.appendChild(createAdminForm(ANIME_FORM_FIELDS, anime, 'Save Anime', values => {
+        return saveAdminChange(adminRequest('PATCH', getAdminUrl(anime.id), values), 'Anime saved');
+    }));
+    
+    // Seasons with their episodes
+    const seasonsHeader = createSafeElement('div', 'admin-editor-header');
+    seasonsHeader.appendChild(createSafeElement('h3', 'admin-section-title', 'Seasons'));
+    
+    const addSeasonButton = createSafeElement('button', 'btn btn-secondary', 'Add Season');
+    addSeasonButton.type = 'button';
+    seasonsHeader.appendChild(addSeasonButton);
+    editor.appendChild(seasonsHeader);
+    
+    const seasonList = createSafeElement('div', 'admin-season-list');
+    
+    addSeasonButton.addEventListener('click', function() {
+        const form = createAdminForm(SEASON_FORM_FIELDS, {}, 'Create Season', values => {
+            return saveAdminChange(adminRequest('POST', `${getAdminUrl(anime.id)}/seasons`, values), 'Season created');
+        }, () => form.remove());
+        form.classList.add('admin-form-new');
+        seasonList.prepend(form);
+    });
+    
+    seasons.forEach((season, index) => {
+        seasonList.appendChild(createAdminSeason(anime, season, index));
+    });
+    
+    if (seasons.length === 0) {
+        seasonList.appendChild(createSafeElement('div', 'no-results', 'This anime has no seasons yet.'));
+    }
+    
+    editor.appendChild(seasonList);
+}
+
+/**
+ * Create the editor block of a season
+ * @param {Object} anime - The anime
+ * @param {Object} season - The season
+ * @param {number} index - Position of the season
+ * @returns {HTMLElement} The season block
+ */
+function createAdminSeason(anime, season, index) {
+    const seasons = anime.seasons;
+    const episodes = season.episodes || [];
+    const seasonUrl = getAdminUrl(anime.id, season.number);
+    const block = createSafeElement('div', 'admin-season');
+    
+    const header = createSafeElement('div', 'admin-season-header');
+    const title = createSafeElement('h4', 'admin-season-title', `Season ${season.number}`);
+    
+    if (season.title) {
+        title.appendChild(createSafeElement('span', 'admin-season-subtitle', season.title));
+    }
+    
+    header.appendChild(title);
+    
+    const actions = createAdminItemActions(seasons, index, 'number', `${getAdminUrl(anime.id)}/seasons/order`, () => {
+        if (!window.confirm(`Delete season ${season.number} of ${anime.title} and its ${episodes.length} episodes?`)) return;
+        
+        saveAdminChange(adminRequest('DELETE', seasonUrl), 'Season deleted')
+            .catch(error => showAdminStatus(error.message, 'error'));
+    });
+    
+    const seasonForm = createAdminForm(SEASON_FORM_FIELDS, season, 'Save Season', values => {
+        return saveAdminChange(adminRequest('PATCH', seasonUrl, values), 'Season saved');
+    }, () => {
+        seasonForm.style.display = 'none';
+    });
+    seasonForm.style.display = 'none';
+    
+    actions.prepend(createAdminIconButton('fas fa-pen', 'Edit season', () => {
+        seasonForm.style.display = seasonForm.style.display === 'none' ? '' : 'none';
+    }));
+    header.appendChild(actions);
+    
+    block.appendChild(header);
+    block.appendChild(seasonForm);
+    
+    // Episodes of the season
+    const list = createSafeElement('ol', 'admin-episode-list');
+    
+    episodes.forEach((episode, episodeIndex) => {
+        list.appendChild(createAdminEpisode(anime, season, episode, episodeIndex));
+    });
+    
+    block.appendChild(list);
+    
+    const addEpisodeButton = createSafeElement('button', 'btn btn-secondary admin-add-episode', 'Add Episode');
+    addEpisodeButton.type = 'button';
+    addEpisodeButton.addEventListener('click', function() {
+        const form = createAdminForm(EPISODE_FORM_FIELDS, {}, 'Create Episode', values => {
+            return saveAdminChange(adminRequest('POST', `${seasonUrl}/episodes`, values), 'Episode created');
+        }, () => {
+            form.remove();
+            addEpisodeButton.style.display = '';
+        });
+        form.classList.add('admin-form-new');
+        addEpisodeButton.style.display = 'none';
+        addEpisodeButton.before(form);
+    });
+    block.appendChild(addEpisodeButton);
+    
+    return block;
+}
+
+/**
+ * Create the row of an episode with its hidden edit form
+ * @param {Object} anime - The anime
+ * @param {Object} season - The season
+ * @param {Object} episode - The episode
+ * @param {number} index - Position of the episode
+ * @returns {HTMLElement} The episode row
+ */
+function createAdminEpisode(anime, season, episode, index) {
+    const episodes = season.episodes;
+    const episodeUrl = getAdminUrl(anime.id, season.number, episode.number);
+    const item = createSafeElement('li', 'admin-episode');
+    
+    const row = createSafeElement('div', 'admin-episode-row');
+    row.appendChild(createSafeElement('span', 'admin-episode-number', `EP ${episode.number}`));
+    row.appendChild(createSafeElement('span', 'admin-episode-title', episode.title || `Episode ${episode.number}`));
+    row.appendChild(createSafeElement('span', 'admin-episode-meta', [
+        episode.duration ? `${episode.duration} min` : '',
+        `${episode.views || 0} views`
+    ].filter(Boolean).join(' · ')));
+    
+    const actions = createAdminItemActions(episodes, index, 'number', `${getAdminUrl(anime.id, season.number)}/episodes/order`, () => {
+        if (!window.confirm(`Delete episode ${episode.number} of season ${season.number}?`)) return;
+        
+        saveAdminChange(adminRequest('DELETE', episodeUrl), 'Episode deleted')
+            .catch(error => showAdminStatus(error.message, 'error'));
+    });
+    
+    const form = createAdminForm(EPISODE_FORM_FIELDS, episode, 'Save Episode', values => {
+        return saveAdminChange(adminRequest('PATCH', episodeUrl, values), 'Episode saved');
+    }, () => {
+        form.style.display = 'none';
+    });
+    form.style.display = 'none';
+    
+    actions.prepend(createAdminIconButton('fas fa-pen', 'Edit episode', () => {
+        form.style.display = form.style.display === 'none' ? '' : 'none';
+    }));
+    row.appendChild(actions);
+    
+    item.appendChild(row);
+    item.appendChild(form);
+    
+    return item;
+}
+
+/**
+ * Delete an anime after confirmation
+ * @param {Object} anime - The anime
+ */
+function deleteAdminAnime(anime) {
+    if (!window.confirm(`Delete ${anime.title} with all of its seasons and episodes?`)) return;
+    
+    saveAdminChange(adminRequest('DELETE', getAdminUrl(anime.id)), `${anime.title} deleted`)
+        .catch(error => showAdminStatus(error.message, 'error'));
+}
@@ -0,0 +1,280 @@
+/**
+ * Anime Zone - Anime Details JavaScript
+ *
+ * This file builds the anime detail page from /api/anime/<anime_id>: the
+ * description and genres, a play next / resume button, and every season
+ * with its episode list, runtime and watched progress.
+ */
+
+// Wait until the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', function() {
+    // Initialize the anime details
+    initAnimeDetails();
+});
+
+/**
+ * Load the anime and render the detail page
+ */
+function initAnimeDetails() {
+    const container = document.querySelector('.anime-details');
+    
+    if (!container) return;
+    
+    const animeId = container.getAttribute('data-anime-id');
+    
+    fetch(`/api/anime/${encodeURIComponent(animeId)}`)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(anime => {
+            renderAnimeDetails(container, anime);
+            
+            // Keep the resume button and watched marks in sync with the history
+            document.addEventListener(HISTORY_CHANGE_EVENT, function() {
+                updateAnimeProgress(container, anime);
+            });
+            
+            document.addEventListener(WATCHLIST_CHANGE_EVENT, function() {
+                updateDetailsWatchlistButton(container.querySelector('.anime-details-watchlist'));
+            });
+        })
+        .catch(error => {
+            console.error('Error fetching anime details:', error);
+            showToast('Error fetching anime data. Please try again.', 'error');
+            
+            container.innerHTML = '<div class="no-results">Failed to load this anime. Please try again later.</div>';
+        });
+}
+
+/**
+ * Add up the duration of episodes
+ * @param {Array} episodes - Episodes with a duration in minutes
+ * @returns {number} The total duration in minutes
+ */
+function getTotalRuntime(episodes) {
+    return episodes.reduce((total, episode) => total + (Number(episode.duration) || 0), 0);
+}
+
+/**
+ * Render the whole detail page
+ * @param {HTMLElement} container - The .anime-details element
+ * @param {Object} anime - Anime data from /api/anime/<anime_id>
+ */
+function renderAnimeDetails(container, anime) {
+    const seasons = anime.seasons || [];
+    const episodes = seasons.reduce((all, season) => all.concat(season.episodes || []), []);
+    const totalViews = episodes.reduce((total, episode) => total + (Number(episode.views) || 0), 0);
+    
+    container.innerHTML = '';
+    
+    // Poster and main information
+    const header = createSafeElement('div', 'anime-details-header');
+    const poster = createSafeElement('div', 'anime-details-poster');
+    setBackgroundImage(poster, anime.image_url);
+    
+    const info = createSafeElement('div', 'anime-details-info');
+    info.appendChild(createSafeElement('h1', 'anime-details-title', anime.title));
+    
+    if (anime.alt_titles && anime.alt_titles.length > 0) {
+        info.appendChild(createSafeElement('p', 'anime-details-alt-titles', anime.alt_titles.join(' · ')));
+    }
+    
+    const genres = createSafeElement('div', 'anime-details-genres');
+    
+    (anime.genres || []).forEach(genre => {
+        const genreLink = createSafeElement('a', 'anime-card-category', genre);
+        genreLink.href = `/search?genre=${encodeURIComponent(genre)}`;
+        genres.appendChild(genreLink);
+    });
+    
+    const stats = createSafeElement('ul', 'anime-details-stats');
+    const runtime = getTotalRuntime(episodes);
+    
+    [
+        ['fas fa-layer-group', `${seasons.length} ${seasons.length === 1 ? 'season' : 'seasons'}`],
+        ['fas fa-film', `${episodes.length} ${episodes.length === 1 ? 'episode' : 'episodes'}`],
+        ['fas fa-clock', runtime > 0 ? `${formatDuration(runtime)} total` : 'Unknown runtime'],
+        ['fas fa-eye', formatViews(totalViews)]
+    ].forEach(([icon, text]) => {
+        const stat = createSafeElement('li', 'anime-details-stat');
+        stat.appendChild(createSafeElement('i', icon));
+        stat.appendChild(document.createTextNode(` ${text}`));
+        stats.appendChild(stat);
+    });
+    
+    const actions = createSafeElement('div', 'anime-details-actions');
+    actions.appendChild(createSafeElement('a', 'btn btn-primary anime-details-play'));
+    
+    const watchlistBtn = createSafeElement('button', 'video-action-btn anime-details-watchlist');
+    watchlistBtn.setAttribute('data-id', anime.id);
+    watchlistBtn.addEventListener('click', function() {
+        if (toggleWatchlist(anime)) {
+            showToast(`${anime.title} added to your watchlist`, 'success');
+        } else {
+            showToast(`${anime.title} removed from your watchlist`, 'info');
+        }
+    });
+    actions.appendChild(watchlistBtn);
+    
+    info.appendChild(genres);
+    info.appendChild(stats);
+    info.appendChild(createSafeElement('p', 'anime-details-description', anime.description || 'No description available.'));
+    info.appendChild(actions);
+    
+    header.appendChild(poster);
+    header.appendChild(info);
+    container.appendChild(header);
+    
+    // One block per season with its episode list
+    const seasonList = createSafeElement('div', 'anime-details-seasons');
+    
+    seasons.forEach(season => {
+        seasonList.appendChild(createSeasonBlock(anime, season));
+    });
+    
+    if (seasons.length === 0) {
+        seasonList.appendChild(createSafeElement('div', 'no-results', 'This anime has no episodes available.'));
+    }
+    
+    container.appendChild(seasonList);
+    
+    updateDetailsWatchlistButton(watchlistBtn);
+    updateAnimeProgress(container, anime);
+}
+
+/**
+ * Create the block of a season with its episode list
+ * @param {Object} anime - Anime data object
+ * @param {Object} season - Season with its episodes
+ * @returns {HTMLElement} The season block
+ */
+function createSeasonBlock(anime, season) {
+    const episodes = season.episodes || [];
+    const block = createSafeElement('div', 'anime-season');
+    block.setAttribute('data-season', season.number);
+    
+    const header = createSafeElement('div', 'anime-season-header');
+    const heading = createSafeElement('h2', 'anime-season-title', `Season ${season.number}`);
+    
+    if (season.title) {
+        heading.appendChild(createSafeElement('span', 'anime-season-subtitle', season.title));
+    }
+    
+    const runtime = getTotalRuntime(episodes);
+    const meta = createSafeElement('div', 'anime-season-meta');
+    meta.appendChild(createSafeElement('span', '', `${episodes.length} ${episodes.length === 1 ? 'episode' : 'episodes'}`));
+    
+    if (runtime > 0) {
+        meta.appendChild(createSafeElement('span', '', formatDuration(runtime)));
+    }
+    
+    meta.appendChild(createSafeElement('span', 'anime-season-progress'));
+    
+    header.appendChild(heading);
+    header.appendChild(meta);
+    
+    // The season download modal lives on the video page, opened from its URL hash
+    if (episodes.length > 0) {
+        const downloadLink = createSafeElement('a', 'video-action-btn anime-season-download');
+        downloadLink.href = `${getEpisodeUrl(anime.id, season.number, episodes[0].number)}#season-download`;
+        downloadLink.appendChild(createSafeElement('i', 'fas fa-folder-download'));
+        downloadLink.appendChild(document.createTextNode(' Download Season'));
+        header.appendChild(downloadLink);
+    }
+    
+    const list = createSafeElement('ol', 'anime-episode-list');
+    
+    episodes.forEach(episode => {
+        const item = createSafeElement('li', episode.unavailable ? 'anime-episode unavailable' : 'anime-episode');
+        item.setAttribute('data-episode', episode.number);
+        
+        const link = createSafeElement('a', 'anime-episode-link');
+        link.href = getEpisodeUrl(anime.id, season.number, episode.number);
+        link.appendChild(createSafeElement('span', 'anime-episode-number', `EP ${episode.number}`));
+        
+        const title = createSafeElement('span', 'anime-episode-title');
+        
+        // The last link check could not load the video of this episode
+        if (episode.unavailable) {
+            const badge = createSafeElement('span', 'unavailable-badge', 'Unavailable');
+            badge.title = 'The video could not be loaded during the last check';
+            title.appendChild(badge);
+        }
+        
+        title.appendChild(document.createTextNode(episode.title || `Episode ${episode.number}`));
+        link.appendChild(title);
+        link.appendChild(createSafeElement('span', 'anime-episode-duration', episode.duration ? `${episode.duration} min` : 'Unknown'));
+        link.appendChild(createSafeElement('span', 'anime-episode-views', formatViews(episode.views)));
+        
+        const watchedMark = createSafeElement('i', 'fas fa-check anime-episode-watched');
+        watchedMark.title = 'Watched';
+        link.appendChild(watchedMark);
+        
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    
+    block.appendChild(header);
+    block.appendChild(list);
+    
+    return block;
+}
+
+/**
+ * Update the resume button, the watched episodes and the season progress
+ * @param {HTMLElement} container - The .anime-details element
+ * @param {Object} anime - Anime data object
+ */
+function updateAnimeProgress(container, anime) {
+    const playButton = container.querySelector('.anime-details-play');
+    const resume = getResumeEpisode(anime);
+    const totalEpisodes = (anime.seasons || []).reduce((total, season) => total + (season.episodes || []).length, 0);
+    const watchedEpisodes = countWatchedEpisodes(anime.id);
+    
+    if (playButton) {
+        playButton.style.display = resume ? '' : 'none';
+        
+        if (resume) {
+            playButton.href = getEpisodeUrl(anime.id, resume.season, resume.episode);
+            
+            if (watchedEpisodes === 0) {
+                playButton.textContent = 'Start Watching';
+            } else if (watchedEpisodes >= totalEpisodes) {
+                playButton.textContent = 'Watch Again';
+            } else {
+                playButton.textContent = `Resume · S${resume.season} EP ${resume.episode}`;
+            }
+        }
+    }
+    
+    container.querySelectorAll('.anime-season').forEach(block => {
+        const season = block.getAttribute('data-season');
+        const items = block.querySelectorAll('.anime-episode');
+        
+        items.forEach(item => {
+            item.classList.toggle('watched', isEpisodeWatched(anime.id, season, item.getAttribute('data-episode')));
+        });
+        
+        const progress = block.querySelector('.anime-season-progress');
+        const watched = Math.min(countWatchedEpisodes(anime.id, season), items.length);
+        progress.textContent = watched > 0 ? `${watched} / ${items.length} watched` : '';
+    });
+}
+
+/**
+ * Update the watchlist button of the detail page
+ * @param {HTMLElement} button - Button with a data-id attribute
+ */
+function updateDetailsWatchlistButton(button) {
+    if (!button) return;
+    
+    const inWatchlist = isInWatchlist(button.getAttribute('data-id'));
+    
+    button.classList.toggle('active', inWatchlist);
+    button.innerHTML = inWatchlist ?
+        '<i class="fas fa-bookmark"></i> In Watchlist' :
+        '<i class="far fa-bookmark"></i> Add to Watchlist';
+}
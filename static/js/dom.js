@@ -0,0 +1,98 @@
+/**
+ * Anime Zone - Safe DOM JavaScript
+ *
+ * This file provides the rendering helpers used by every script for catalog
+ * data and messages. Text is always inserted as text, markup templates escape
+ * the values put into them, and image and link URLs must use an allowed scheme.
+ */
+
+// URL schemes allowed for images and links, relative URLs resolve to this site
+const SAFE_URL_PROTOCOLS = ['http:', 'https:'];
+
+// Image shown when an anime has no usable image
+const PLACEHOLDER_IMAGE_URL = 'https://via.placeholder.com/350x500?text=No+Image';
+
+/**
+ * Escape text for use inside HTML markup
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Template tag that escapes every interpolated value, for markup such as icons next to text
+ * @example element.innerHTML = safeHtml`<i class="fas fa-eye"></i> ${views}`;
+ * @param {Array} strings - The literal parts of the template
+ * @param {...*} values - The interpolated values
+ * @returns {string} The markup with escaped values
+ */
+function safeHtml(strings, ...values) {
+    return strings.reduce((markup, string, i) => markup + escapeHtml(values[i - 1]) + string);
+}
+
+/**
+ * Check a URL against the allow-list
+ * @param {string} url - The URL to check
+ * @param {string} fallback - Returned when the URL is not allowed (optional)
+ * @returns {string} The absolute URL, or the fallback
+ */
+function sanitizeUrl(url, fallback = '') {
+    if (typeof url !== 'string' || !url.trim()) return fallback;
+    
+    let parsed;
+    
+    try {
+        parsed = new URL(url.trim(), window.location.origin);
+    } catch (e) {
+        return fallback;
+    }
+    
+    return SAFE_URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href : fallback;
+}
+
+/**
+ * Create an element with a class and text content
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name (optional)
+ * @param {string} text - Text content (optional)
+ * @returns {HTMLElement} The new element
+ */
+function createSafeElement(tag, className, text) {
+    const element = document.createElement(tag);
+    
+    if (className) {
+        element.className = className;
+    }
+    
+    if (text !== undefined && text !== null) {
+        element.textContent = text;
+    }
+    
+    return element;
+}
+
+/**
+ * Set the background image of an element, falling back to the placeholder for disallowed URLs
+ * @param {HTMLElement} element - The element
+ * @param {string} url - The image URL
+ * @param {string} fallback - Image used when the URL is missing or not allowed (optional)
+ */
+function setBackgroundImage(element, url, fallback = PLACEHOLDER_IMAGE_URL) {
+    const imageUrl = sanitizeUrl(url, fallback);
+    
+    if (!imageUrl) {
+        element.style.backgroundImage = '';
+        return;
+    }
+    
+    // Quotes, brackets, backslashes and line breaks would end the CSS url() early
+    const cssUrl = imageUrl.replace(/["'()\\\s]/g, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0').toUpperCase()}`);
+    element.style.backgroundImage = `url("${cssUrl}")`;
+}
@@ -0,0 +1,233 @@
+/**
+ * Anime Zone - Watch History JavaScript
+ *
+ * This file provides the watch history store shared by the index and video pages.
+ * Every episode visit is saved in localStorage with a timestamp, and the history
+ * is used to resume each anime at the next unwatched episode. Visited episodes
+ * count as watched and can be marked watched or unwatched by hand.
+ */
+
+// localStorage key and current schema version of the watch history
+const HISTORY_STORAGE_KEY = 'animeZone.history';
+const HISTORY_SCHEMA_VERSION = 1;
+
+// Maximum number of anime kept in the history
+const HISTORY_MAX_ANIME = 50;
+
+// Event fired on the document whenever the history changes
+const HISTORY_CHANGE_EVENT = 'history:change';
+
+// Keep other tabs in sync with this one
+window.addEventListener('storage', function(event) {
+    if (event.key === HISTORY_STORAGE_KEY) {
+        document.dispatchEvent(new CustomEvent(HISTORY_CHANGE_EVENT));
+    }
+});
+
+/**
+ * Read the watch history from localStorage
+ * @returns {Object} History entries keyed by anime ID
+ */
+function loadHistory() {
+    let stored = null;
+
+    try {
+        stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    } catch (e) {
+        console.error('Error reading watch history:', e);
+        return {};
+    }
+
+    if (!stored) return {};
+
+    if (stored.version !== HISTORY_SCHEMA_VERSION || typeof stored.anime !== 'object' || stored.anime === null) {
+        console.warn(`Ignoring watch history with unknown schema version ${stored.version}`);
+        return {};
+    }
+
+    return stored.anime;
+}
+
+/**
+ * Write the watch history to localStorage and notify listeners
+ * @param {Object} entries - History entries keyed by anime ID
+ */
+function saveHistory(entries) {
+    // Drop the oldest anime once the history is full
+    const ids = Object.keys(entries).sort((a, b) => new Date(entries[b].updatedAt) - new Date(entries[a].updatedAt));
+    ids.slice(HISTORY_MAX_ANIME).forEach(id => delete entries[id]);
+
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({
+            version: HISTORY_SCHEMA_VERSION,
+            anime: entries
+        }));
+    } catch (e) {
+        console.error('Error saving watch history:', e);
+        return;
+    }
+
+    document.dispatchEvent(new CustomEvent(HISTORY_CHANGE_EVENT));
+}
+
+/**
+ * Build the key used for an episode in a history entry
+ * @param {string|number} season - Season number
+ * @param {string|number} episode - Episode number
+ * @returns {string} The episode key
+ */
+function getEpisodeKey(season, episode) {
+    return `${season}/${episode}`;
+}
+
+/**
+ * Build the video page URL of an episode
+ * @param {string|number} animeId - The anime ID
+ * @param {string|number} season - Season number
+ * @param {string|number} episode - Episode number
+ * @returns {string} The episode URL
+ */
+function getEpisodeUrl(animeId, season, episode) {
+    return `/video/${animeId}/${season}/${episode}`;
+}
+
+/**
+ * Record a visit to an episode
+ * @param {Object} anime - Anime data object (id, title, image_url)
+ * @param {string|number} season - Season number
+ * @param {string|number} episode - Episode number
+ */
+function recordEpisodeVisit(anime, season, episode) {
+    const entries = loadHistory();
+    const id = String(anime.id);
+    const now = new Date().toISOString();
+    const entry = entries[id] || { episodes: {} };
+
+    entry.title = anime.title || entry.title || '';
+    entry.image = anime.image_url || entry.image || '';
+    entry.lastSeason = Number(season);
+    entry.lastEpisode = Number(episode);
+    entry.updatedAt = now;
+    entry.episodes[getEpisodeKey(season, episode)] = now;
+
+    entries[id] = entry;
+    saveHistory(entries);
+}
+
+/**
+ * Get the history entry of an anime
+ * @param {string|number} animeId - The anime ID
+ * @returns {Object|null} The history entry or null if never watched
+ */
+function getAnimeHistory(animeId) {
+    return loadHistory()[String(animeId)] || null;
+}
+
+/**
+ * Get the watched anime, most recently watched first
+ * @returns {Array} History entries with their anime ID
+ */
+function getRecentHistory() {
+    const entries = loadHistory();
+
+    return Object.keys(entries)
+        .map(id => Object.assign({ id: id }, entries[id]))
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Find the episode to open for an anime: the first unwatched episode after
+ * the last one visited, or the first episode if nothing was watched yet
+ * @param {Object} anime - Anime data object with its seasons
+ * @returns {Object|null} The season and episode numbers, or null if there are no episodes
+ */
+function getResumeEpisode(anime) {
+    const episodes = [];
+
+    (anime.seasons || []).forEach(season => {
+        (season.episodes || []).forEach(episode => {
+            episodes.push({ season: season.number, episode: episode.number });
+        });
+    });
+
+    if (episodes.length === 0) return null;
+
+    const entry = getAnimeHistory(anime.id);
+
+    if (!entry) return episodes[0];
+
+    const isWatched = ep => Boolean(entry.episodes[getEpisodeKey(ep.season, ep.episode)]);
+    const lastIndex = episodes.findIndex(ep => ep.season === entry.lastSeason && ep.episode === entry.lastEpisode);
+
+    // Look after the last visited episode first, then wrap around to the start
+    const ordered = episodes.slice(lastIndex + 1).concat(episodes.slice(0, lastIndex + 1));
+    const next = ordered.find(ep => !isWatched(ep));
+
+    return next || episodes[0];
+}
+
+/**
+ * Check whether an episode has been watched
+ * @param {string|number} animeId - The anime ID
+ * @param {string|number} season - Season number
+ * @param {string|number} episode - Episode number
+ * @returns {boolean} True if the episode is marked as watched
+ */
+function isEpisodeWatched(animeId, season, episode) {
+    const entry = getAnimeHistory(animeId);
+    return Boolean(entry && entry.episodes[getEpisodeKey(season, episode)]);
+}
+
+/**
+ * Mark episodes of a season as watched or unwatched
+ * @param {Object} anime - Anime data object (id, title, image_url)
+ * @param {string|number} season - Season number
+ * @param {Array} episodes - Episode numbers to update
+ * @param {boolean} watched - True to mark as watched, false to unmark
+ */
+function setEpisodesWatched(anime, season, episodes, watched) {
+    const entries = loadHistory();
+    const id = String(anime.id);
+    const now = new Date().toISOString();
+    const entry = entries[id] || { episodes: {} };
+
+    episodes.forEach(episode => {
+        const key = getEpisodeKey(season, episode);
+
+        if (watched) {
+            entry.episodes[key] = entry.episodes[key] || now;
+        } else {
+            delete entry.episodes[key];
+        }
+    });
+
+    // Forget the anime entirely once nothing is left watched
+    if (Object.keys(entry.episodes).length === 0) {
+        delete entries[id];
+    } else {
+        entry.title = anime.title || entry.title || '';
+        entry.image = anime.image_url || entry.image || '';
+        entry.updatedAt = now;
+        entries[id] = entry;
+    }
+
+    saveHistory(entries);
+}
+
+/**
+ * Count the watched episodes of an anime
+ * @param {string|number} animeId - The anime ID
+ * @param {string|number} season - Only count this season (optional)
+ * @returns {number} The number of watched episodes
+ */
+function countWatchedEpisodes(animeId, season) {
+    const entry = getAnimeHistory(animeId);
+
+    if (!entry) return 0;
+
+    const keys = Object.keys(entry.episodes);
+
+    if (season === undefined) return keys.length;
+
+    return keys.filter(key => key.split('/')[0] === String(season)).length;
+}
@@ -13,14 +13,35 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize search functionality
     initSearch();
     
+    // Initialize the filter bar and the search page URL state
+    initAnimeFilters();
+    
     // Initialize anime cards
     initAnimeCards();
     
+    // Initialize the latest episodes and popular anime sections
+    initHomeSections();
+    
+    // Initialize the watchlist section
+    initWatchlist();
+    
+    // Initialize the continue watching section
+    initContinueWatching();
+    
     // Initialize modals
     initModals();
     
     // Initialize toast notifications
     initToasts();
+    
+    // Initialize the offline banner
+    initOfflineBanner();
+    
+    // Register the service worker that keeps the site usable offline
+    initServiceWorker();
+    
+    // Register the browse page shortcuts
+    initBrowseShortcuts();
 });
 
 /**
@@ -44,57 +65,387 @@ function initMobileMenu() {
     }
 }
 
+// Filters of the anime results, set by the search box, the filter bar and the URL
+const animeFilters = { q: '', genres: [], minEpisodes: 0, sort: '', page: 1 };
+
+// Sort orders accepted by /api/anime
+const ANIME_SORT_ORDERS = ['title', 'views', 'newest'];
+
+// Number of anime on each page of results
+const ANIME_PAGE_SIZE = 12;
+
+// Incremented for every results request, so late responses can be ignored
+let animeRequestId = 0;
+
+/**
+ * Get the section showing anime results
+ * @returns {HTMLElement|null} The search results section, or the featured section of the home page
+ */
+function getAnimeResultsSection() {
+    return document.getElementById('search-results') || document.getElementById('featured');
+}
+
+/**
+ * Check whether the current page is the search results page
+ * @returns {boolean} True on /search
+ */
+function isSearchPage() {
+    return Boolean(document.getElementById('search-results'));
+}
+
 /**
  * Initialize search functionality
  */
 function initSearch() {
     const searchInput = document.querySelector('.search-input');
-    const animeGrid = document.querySelector('.anime-grid');
     
-    if (searchInput && animeGrid) {
-        // Debounce function to limit API calls
-        let debounceTimer;
+    if (!searchInput) return;
+    
+    if (!isSearchPage()) {
+        // Other pages open the search results page on Enter
+        searchInput.addEventListener('keydown', function(event) {
+            const query = this.value.trim();
+            
+            // A selected suggestion is opened by search.js instead
+            if (event.key !== 'Enter' || !query || document.querySelector('.suggestion-item.selected')) return;
+            
+            window.location.href = `/search?q=${encodeURIComponent(query)}`;
+        });
+        return;
+    }
+    
+    const animeGrid = document.querySelector('#search-results .anime-grid');
+    
+    // Debounce function to limit API calls
+    let debounceTimer;
+    
+    searchInput.addEventListener('input', function() {
+        clearTimeout(debounceTimer);
+        
+        const query = this.value.trim();
+        
+        // Show loader
+        if (animeGrid && animeGrid.querySelector('.loader') === null) {
+            const loader = document.createElement('div');
+            loader.className = 'loader';
+            loader.innerHTML = '<div class="loader-spinner"></div>';
+            animeGrid.innerHTML = '';
+            animeGrid.appendChild(loader);
+        }
+        
+        debounceTimer = setTimeout(() => {
+            // Typing replaces the history entry instead of adding one per pause
+            setAnimeFilters({ q: query }, { replaceHistory: true });
+        }, 500);
+    });
+}
+
+/**
+ * Initialize the filter bar, the pagination and the URL state of the search page
+ */
+function initAnimeFilters() {
+    const section = getAnimeResultsSection();
+    
+    if (!section) return;
+    
+    const minEpisodesInput = section.querySelector('.filter-min-episodes');
+    const sortSelect = section.querySelector('.filter-sort');
+    const clearButton = section.querySelector('.filter-clear-btn');
+    const prevButton = section.querySelector('.pagination-prev');
+    const nextButton = section.querySelector('.pagination-next');
+    const didYouMeanLink = section.querySelector('.search-did-you-mean-link');
+    
+    if (isSearchPage()) {
+        readFiltersFromUrl();
         
-        searchInput.addEventListener('input', function() {
-            clearTimeout(debounceTimer);
+        // Back and forward restore the filters saved in the URL
+        window.addEventListener('popstate', function() {
+            readFiltersFromUrl();
+            updateFilterBar();
+            fetchAnime();
+        });
+    }
+    
+    updateFilterBar();
+    
+    if (minEpisodesInput) {
+        minEpisodesInput.addEventListener('change', function() {
+            setAnimeFilters({ minEpisodes: Math.max(parseInt(this.value, 10) || 0, 0) });
+        });
+    }
+    
+    if (sortSelect) {
+        sortSelect.addEventListener('change', function() {
+            setAnimeFilters({ sort: this.value });
+        });
+    }
+    
+    if (clearButton) {
+        clearButton.addEventListener('click', function() {
+            const searchInput = document.querySelector('.search-input');
             
-            const query = this.value.trim();
+            if (searchInput) {
+                searchInput.value = '';
+            }
+            
+            setAnimeFilters({ q: '', genres: [], minEpisodes: 0, sort: '' });
+        });
+    }
+    
+    if (prevButton) {
+        prevButton.addEventListener('click', function() {
+            setAnimeFilters({ page: animeFilters.page - 1 });
+            section.scrollIntoView({ behavior: 'smooth' });
+        });
+    }
+    
+    if (nextButton) {
+        nextButton.addEventListener('click', function() {
+            setAnimeFilters({ page: animeFilters.page + 1 });
+            section.scrollIntoView({ behavior: 'smooth' });
+        });
+    }
+    
+    if (didYouMeanLink) {
+        didYouMeanLink.addEventListener('click', function(e) {
+            const searchInput = document.querySelector('.search-input');
+            const query = this.textContent;
             
-            // Show loader
-            if (animeGrid.querySelector('.loader') === null) {
-                const loader = document.createElement('div');
-                loader.className = 'loader';
-                loader.innerHTML = '<div class="loader-spinner"></div>';
-                animeGrid.innerHTML = '';
-                animeGrid.appendChild(loader);
+            e.preventDefault();
+            
+            if (searchInput) {
+                searchInput.value = query;
             }
             
-            debounceTimer = setTimeout(() => {
-                if (query.length > 0) {
-                    fetchAnime(query);
-                } else {
-                    fetchAnime(); // Fetch all anime when search is empty
-                }
-            }, 500);
+            setAnimeFilters({ q: query });
         });
     }
 }
 
 /**
- * Fetch anime data from the API
- * @param {string} query - Search query (optional)
+ * Read the filters from the URL of the search page
  */
-function fetchAnime(query = '') {
-    const animeGrid = document.querySelector('.anime-grid');
+function readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get('sort') || '';
+    const searchInput = document.querySelector('.search-input');
     
-    if (!animeGrid) return;
+    Object.assign(animeFilters, {
+        q: (params.get('q') || '').trim(),
+        genres: params.getAll('genre').filter(Boolean),
+        minEpisodes: Math.max(parseInt(params.get('min_episodes'), 10) || 0, 0),
+        sort: ANIME_SORT_ORDERS.includes(sort) ? sort : '',
+        page: Math.max(parseInt(params.get('page'), 10) || 1, 1)
+    });
+    
+    if (searchInput) {
+        searchInput.value = animeFilters.q;
+    }
+}
+
+/**
+ * Change the filters and reload the results. On the search page the new
+ * filters are saved in the URL and the browser history.
+ * @param {Object} changes - Filters to change, any change except the page goes back to page 1
+ * @param {Object} options - Set replaceHistory to update the current history entry instead of adding one
+ */
+function setAnimeFilters(changes, options = {}) {
+    Object.assign(animeFilters, { page: 1 }, changes);
     
-    let url = '/api/anime';
-    if (query) {
-        url += `?q=${encodeURIComponent(query)}`;
+    if (isSearchPage()) {
+        const query = buildFilterParams().toString();
+        const url = query ? `/search?${query}` : '/search';
+        
+        if (url !== window.location.pathname + window.location.search) {
+            if (options.replaceHistory) {
+                history.replaceState(null, '', url);
+            } else {
+                history.pushState(null, '', url);
+            }
+        }
     }
     
-    fetch(url)
+    updateFilterBar();
+    fetchAnime();
+}
+
+/**
+ * Check whether the results are filtered
+ * @returns {boolean} True if any filter differs from the default
+ */
+function hasActiveFilters() {
+    return Boolean(animeFilters.q || animeFilters.genres.length > 0 || animeFilters.minEpisodes > 0 || animeFilters.sort);
+}
+
+/**
+ * Update the filter bar inputs to match the current filters
+ */
+function updateFilterBar() {
+    const minEpisodesInput = document.querySelector('.filter-min-episodes');
+    const sortSelect = document.querySelector('.filter-sort');
+    const clearButton = document.querySelector('.filter-clear-btn');
+    
+    if (minEpisodesInput) {
+        minEpisodesInput.value = animeFilters.minEpisodes > 0 ? animeFilters.minEpisodes : '';
+    }
+    
+    if (sortSelect) {
+        sortSelect.value = animeFilters.sort;
+    }
+    
+    if (clearButton) {
+        clearButton.style.display = hasActiveFilters() ? '' : 'none';
+    }
+    
+    document.querySelectorAll('.filter-genre-chip').forEach(chip => {
+        chip.classList.toggle('active', isGenreSelected(chip.getAttribute('data-genre')));
+    });
+}
+
+/**
+ * Check whether a genre is one of the selected filters
+ * @param {string} genre - Genre name
+ * @returns {boolean} True if the genre is selected
+ */
+function isGenreSelected(genre) {
+    return animeFilters.genres.some(selected => selected.toLowerCase() === genre.toLowerCase());
+}
+
+/**
+ * Render the genre filter chips
+ * @param {Array} genres - Every genre of the catalog
+ */
+function renderGenreFilters(genres) {
+    const container = document.querySelector('.filter-genres');
+    
+    if (!container) return;
+    
+    // Keep selected genres that no anime has, so they can still be removed
+    const missing = animeFilters.genres.filter(selected => !genres.some(genre => genre.toLowerCase() === selected.toLowerCase()));
+    
+    container.innerHTML = '';
+    
+    genres.concat(missing).forEach(genre => {
+        const chip = document.createElement('button');
+        chip.className = 'filter-genre-chip';
+        chip.setAttribute('data-genre', genre);
+        chip.textContent = genre;
+        chip.classList.toggle('active', isGenreSelected(genre));
+        
+        chip.addEventListener('click', function() {
+            const genres = isGenreSelected(genre) ?
+                animeFilters.genres.filter(selected => selected.toLowerCase() !== genre.toLowerCase()) :
+                animeFilters.genres.concat(genre);
+            
+            setAnimeFilters({ genres: genres });
+        });
+        
+        container.appendChild(chip);
+    });
+}
+
+/**
+ * Build the query parameters of the current filters, as used in the search page URL
+ * @returns {URLSearchParams} The filter parameters
+ */
+function buildFilterParams() {
+    const params = new URLSearchParams();
+    
+    if (animeFilters.q) {
+        params.set('q', animeFilters.q);
+    }
+    
+    animeFilters.genres.forEach(genre => params.append('genre', genre));
+    
+    if (animeFilters.minEpisodes > 0) {
+        params.set('min_episodes', animeFilters.minEpisodes);
+    }
+    
+    if (animeFilters.sort) {
+        params.set('sort', animeFilters.sort);
+    }
+    
+    if (animeFilters.page > 1) {
+        params.set('page', animeFilters.page);
+    }
+    
+    return params;
+}
+
+/**
+ * Build the /api/anime query string of the current filters
+ * @returns {string} The query string
+ */
+function buildAnimeQuery() {
+    const params = buildFilterParams();
+    
+    params.set('page', animeFilters.page);
+    params.set('per_page', ANIME_PAGE_SIZE);
+    
+    return params.toString();
+}
+
+/**
+ * Show the result count and the pagination of the results
+ * @param {Object} data - Response of /api/anime
+ */
+function renderAnimeResultInfo(data) {
+    const section = getAnimeResultsSection();
+    const resultCount = section.querySelector('.filter-result-count');
+    const pagination = section.querySelector('.pagination');
+    const total = data.total || 0;
+    const pages = Math.max(Math.ceil(total / ANIME_PAGE_SIZE), 1);
+    
+    if (resultCount) {
+        resultCount.textContent = animeFilters.q ?
+            `${total} ${total === 1 ? 'result' : 'results'} for "${animeFilters.q}"` :
+            `${total} anime${hasActiveFilters() ? ' found' : ''}`;
+    }
+    
+    if (pagination) {
+        pagination.style.display = pages > 1 ? '' : 'none';
+        pagination.querySelector('.pagination-info').textContent = `Page ${animeFilters.page} of ${pages}`;
+        pagination.querySelector('.pagination-prev').disabled = animeFilters.page <= 1;
+        pagination.querySelector('.pagination-next').disabled = animeFilters.page >= pages;
+    }
+}
+
+/**
+ * Offer a corrected query when some words of the search match no title
+ */
+function renderDidYouMean() {
+    const container = document.querySelector('.search-did-you-mean');
+    const query = animeFilters.q;
+    
+    if (!container) return;
+    
+    container.style.display = 'none';
+    
+    if (!query) return;
+    
+    suggestSearchCorrection(query).then(suggestion => {
+        // Ignore the suggestion if the search changed while it was computed
+        if (!suggestion || query !== animeFilters.q) return;
+        
+        const link = container.querySelector('.search-did-you-mean-link');
+        link.textContent = suggestion;
+        link.href = `/search?q=${encodeURIComponent(suggestion)}`;
+        container.style.display = '';
+    });
+}
+
+/**
+ * Fetch the anime results from the API using the current filters
+ */
+function fetchAnime() {
+    const section = getAnimeResultsSection();
+    const animeGrid = section ? section.querySelector('.anime-grid') : null;
+    
+    if (!animeGrid) return;
+    
+    const requestId = ++animeRequestId;
+    
+    fetch(`/api/anime?${buildAnimeQuery()}`)
         .then(response => {
             if (!response.ok) {
                 throw new Error('Network response was not ok');
@@ -102,7 +453,13 @@ function fetchAnime(query = '') {
             return response.json();
         })
         .then(data => {
+            // A newer request was sent while this one was loading
+            if (requestId !== animeRequestId) return;
+            
             animeGrid.innerHTML = '';
+            renderGenreFilters(data.genres || []);
+            renderAnimeResultInfo(data);
+            renderDidYouMean();
             
             if (data.anime && data.anime.length > 0) {
                 data.anime.forEach(anime => {
@@ -112,11 +469,13 @@ function fetchAnime(query = '') {
                 // No results found
                 const noResults = document.createElement('div');
                 noResults.className = 'no-results';
-                noResults.textContent = 'No anime found for your search.';
+                noResults.textContent = hasActiveFilters() ? 'No anime match these filters.' : 'No anime found for your search.';
                 animeGrid.appendChild(noResults);
             }
         })
         .catch(error => {
+            if (requestId !== animeRequestId) return;
+            
             console.error('Error fetching anime:', error);
             showToast('Error fetching anime data. Please try again.', 'error');
             
@@ -125,54 +484,126 @@ function fetchAnime(query = '') {
         });
 }
 
+/**
+ * Build the detail page URL of an anime
+ * @param {string|number} animeId - The anime ID
+ * @returns {string} The anime URL
+ */
+function getAnimeUrl(animeId) {
+    return `/anime/${animeId}`;
+}
+
 /**
  * Create an anime card element
  * @param {Object} anime - Anime data object
+ * @param {string} href - Page opened by the card (optional, defaults to the anime detail page)
  * @returns {HTMLElement} The created anime card element
  */
-function createAnimeCard(anime) {
-    const card = document.createElement('div');
-    card.className = 'anime-card';
+function createAnimeCard(anime, href) {
+    const card = createSafeElement('div', 'anime-card');
     
-    // Use a placeholder image if the anime doesn't have an image URL
-    const imageUrl = anime.image_url || 'https://via.placeholder.com/350x500?text=No+Image';
+    // Use a placeholder image if the anime doesn't have a usable image URL
+    const image = createSafeElement('div', 'anime-card-image');
+    setBackgroundImage(image, anime.image_url);
     
-    card.innerHTML = `
-        <div class="anime-card-image" style="background-image: url('${imageUrl}'); background-size: cover; background-position: center;"></div>
-        <div class="anime-card-body">
-            <h3 class="anime-card-title">${anime.title}</h3>
-            <p class="anime-card-text">${anime.description || 'No description available.'}</p>
-            <div class="anime-card-categories">
-                ${anime.genres ? anime.genres.map(genre => `<span class="anime-card-category">${genre}</span>`).join('') : ''}
-            </div>
-        </div>
-    `;
+    const body = createSafeElement('div', 'anime-card-body');
+    const categories = createSafeElement('div', 'anime-card-categories');
     
-    // Add event listener to navigate to anime details
-    card.addEventListener('click', function() {
-        if (anime.id) {
-            const firstSeason = anime.seasons && anime.seasons.length > 0 ? anime.seasons[0] : null;
-            const firstEpisode = firstSeason && firstSeason.episodes && firstSeason.episodes.length > 0 ? 
-                firstSeason.episodes[0] : null;
-                
-            if (firstSeason && firstEpisode) {
-                window.location.href = `/video/${anime.id}/${firstSeason.number}/${firstEpisode.number}`;
+    (anime.genres || []).forEach(genre => {
+        categories.appendChild(createSafeElement('span', 'anime-card-category', genre));
+    });
+    
+    body.appendChild(createSafeElement('h3', 'anime-card-title', anime.title));
+    
+    // Anime of the search index have no description
+    if ('description' in anime) {
+        body.appendChild(createSafeElement('p', 'anime-card-text', anime.description || 'No description available.'));
+    }
+    
+    body.appendChild(categories);
+    card.appendChild(image);
+    card.appendChild(body);
+    
+    // Show how much of the anime has been watched
+    const totalEpisodes = (anime.seasons || []).reduce((total, season) => total + (season.episodes || []).length, 0);
+    const watchedEpisodes = anime.id ? Math.min(countWatchedEpisodes(anime.id), totalEpisodes) : 0;
+    
+    if (watchedEpisodes > 0) {
+        const progressBadge = document.createElement('div');
+        progressBadge.className = 'anime-card-progress';
+        progressBadge.textContent = watchedEpisodes >= totalEpisodes ? 'Completed' : `${watchedEpisodes} / ${totalEpisodes} watched`;
+        card.appendChild(progressBadge);
+    }
+    
+    // Add the watchlist toggle
+    if (anime.id) {
+        const watchlistBtn = document.createElement('button');
+        watchlistBtn.className = 'anime-card-watchlist';
+        watchlistBtn.setAttribute('data-id', anime.id);
+        updateWatchlistToggle(watchlistBtn);
+        
+        watchlistBtn.addEventListener('click', function(event) {
+            event.stopPropagation();
+            
+            if (toggleWatchlist(anime)) {
+                showToast(`${anime.title} added to your watchlist`, 'success');
             } else {
-                showToast('This anime has no episodes available.', 'info');
+                showToast(`${anime.title} removed from your watchlist`, 'info');
             }
+        });
+        
+        card.appendChild(watchlistBtn);
+    }
+    
+    // Add event listener to navigate to anime details
+    card.addEventListener('click', function() {
+        if (href) {
+            window.location.href = href;
+        } else if (anime.id) {
+            window.location.href = getAnimeUrl(anime.id);
         }
     });
     
     return card;
 }
 
+/**
+ * Load the catalog used by the watchlist and continue watching sections
+ * from the shared search index, and follow its updates
+ */
+function loadAnimeCatalog() {
+    loadSearchIndex()
+        .then(setAnimeCatalog)
+        .catch(error => {
+            console.error('Error loading the anime catalog:', error);
+        });
+    
+    document.addEventListener(SEARCH_INDEX_CHANGE_EVENT, function(event) {
+        setAnimeCatalog(event.detail.anime);
+    });
+}
+
+/**
+ * Replace the catalog and refresh the sections built from it
+ * @param {Array} anime - Anime list from the search index
+ */
+function setAnimeCatalog(anime) {
+    animeCatalog = anime;
+    syncWatchlistWithCatalog(animeCatalog);
+    renderWatchlist();
+    renderContinueWatching();
+}
+
 /**
  * Initialize anime cards in the grid
  */
 function initAnimeCards() {
-    const animeGrid = document.querySelector('.anime-grid');
+    const section = getAnimeResultsSection();
+    const animeGrid = section ? section.querySelector('.anime-grid') : null;
     
     if (animeGrid) {
+        loadAnimeCatalog();
+        
         // Only fetch if the grid is empty (except for loaders)
         if (!animeGrid.querySelector('.anime-card')) {
             fetchAnime();
@@ -180,6 +611,249 @@ function initAnimeCards() {
     }
 }
 
+/**
+ * Initialize the latest episodes and popular anime sections of the index page
+ */
+function initHomeSections() {
+    const latestGrid = document.querySelector('#latest .anime-grid');
+    const popularGrid = document.querySelector('#popular .anime-grid');
+    
+    if (latestGrid) {
+        fetchHomeSection(latestGrid, '/api/episodes/latest', data => data.episodes.map(createEpisodeCard));
+    }
+    
+    if (popularGrid) {
+        document.querySelectorAll('#popular .popular-tab').forEach(tab => {
+            tab.addEventListener('click', function() {
+                document.querySelectorAll('#popular .popular-tab').forEach(t => t.classList.toggle('active', t === this));
+                fetchPopularAnime(popularGrid, this.getAttribute('data-period'));
+            });
+        });
+        
+        fetchPopularAnime(popularGrid, 'all');
+    }
+}
+
+// Label of the view count shown on the cards of each popular tab
+const POPULAR_PERIOD_LABELS = { all: '', week: ' this week', day: ' today' };
+
+/**
+ * Fill the popular section with the all-time most viewed anime, or the trending ones
+ * @param {HTMLElement} grid - The .anime-grid of the popular section
+ * @param {string} period - 'all', 'week' or 'day'
+ */
+function fetchPopularAnime(grid, period) {
+    const url = period === 'all' ? '/api/anime/popular' : `/api/anime/trending?period=${period}`;
+    
+    fetchHomeSection(grid, url, data => data.anime.map(anime => {
+        const card = createAnimeCard(anime);
+        const views = document.createElement('div');
+        views.className = 'anime-card-views';
+        views.innerHTML = safeHtml`<i class="fas fa-eye"></i> ${formatViews(period === 'all' ? anime.total_views : anime.recent_views)}${POPULAR_PERIOD_LABELS[period]}`;
+        card.querySelector('.anime-card-body').prepend(views);
+        return card;
+    }), period === 'all' ? 'Nothing to show yet.' : `No views ${POPULAR_PERIOD_LABELS[period].trim()} yet.`);
+}
+
+/**
+ * Fetch the items of an index page section and render them in its grid
+ * @param {HTMLElement} grid - The .anime-grid of the section
+ * @param {string} url - API endpoint of the section
+ * @param {Function} createCards - Builds the card elements from the response
+ * @param {string} emptyMessage - Shown when the response has no items (optional)
+ */
+function fetchHomeSection(grid, url, createCards, emptyMessage = 'Nothing to show yet.') {
+    // Remember the latest request, so a slower earlier one cannot replace its results
+    grid.setAttribute('data-source', url);
+    
+    fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            if (grid.getAttribute('data-source') !== url) return;
+            
+            const cards = createCards(data);
+            
+            grid.innerHTML = '';
+            
+            if (cards.length === 0) {
+                const noResults = document.createElement('div');
+                noResults.className = 'no-results';
+                noResults.textContent = emptyMessage;
+                grid.appendChild(noResults);
+                return;
+            }
+            
+            cards.forEach(card => grid.appendChild(card));
+        })
+        .catch(error => {
+            if (grid.getAttribute('data-source') !== url) return;
+            
+            console.error(`Error fetching ${url}:`, error);
+            
+            // Show error message in grid
+            grid.innerHTML = '<div class="no-results">Failed to load anime. Please try again later.</div>';
+        });
+}
+
+/**
+ * Create an episode card element, the anime card variant used for single episodes
+ * @param {Object} episode - Episode from /api/episodes/latest
+ * @returns {HTMLElement} The created episode card element
+ */
+function createEpisodeCard(episode) {
+    const card = createSafeElement('div', 'anime-card anime-card-episode');
+    
+    const image = createSafeElement('div', 'anime-card-image');
+    setBackgroundImage(image, episode.image_url);
+    
+    const body = createSafeElement('div', 'anime-card-body');
+    const title = createSafeElement('h3', 'anime-card-title', `EP ${episode.episode} — ${episode.anime_title}`);
+    const text = createSafeElement('p', 'anime-card-text', episode.title || `Episode ${episode.episode}`);
+    
+    const meta = createSafeElement('div', 'anime-card-episode-meta');
+    meta.textContent = [
+        `Season ${episode.season}`,
+        episode.duration ? `${episode.duration} min` : '',
+        formatViews(episode.views)
+    ].filter(Boolean).join(' · ');
+    
+    body.appendChild(title);
+    body.appendChild(text);
+    body.appendChild(meta);
+    card.appendChild(image);
+    card.appendChild(body);
+    
+    if (isEpisodeWatched(episode.anime_id, episode.season, episode.episode)) {
+        const watchedBadge = document.createElement('div');
+        watchedBadge.className = 'anime-card-progress';
+        watchedBadge.textContent = 'Watched';
+        card.appendChild(watchedBadge);
+    }
+    
+    card.addEventListener('click', function() {
+        window.location.href = getEpisodeUrl(episode.anime_id, episode.season, episode.episode);
+    });
+    
+    return card;
+}
+
+// Full catalog from the search index, set once it has loaded
+let animeCatalog = null;
+
+/**
+ * Initialize the watchlist section and keep card toggles in sync
+ */
+function initWatchlist() {
+    document.addEventListener(WATCHLIST_CHANGE_EVENT, function() {
+        document.querySelectorAll('.anime-card-watchlist').forEach(updateWatchlistToggle);
+        renderWatchlist();
+    });
+    
+    renderWatchlist();
+}
+
+/**
+ * Render the "My Watchlist" section from the watchlist store
+ */
+function renderWatchlist() {
+    const section = document.getElementById('watchlist');
+    const watchlistGrid = document.querySelector('#watchlist .anime-grid');
+    
+    if (!section || !watchlistGrid) return;
+    
+    const items = getWatchlist();
+    
+    // Hide the section until something has been added
+    section.style.display = items.length > 0 ? '' : 'none';
+    watchlistGrid.innerHTML = '';
+    
+    items.forEach(item => {
+        const anime = animeCatalog ? animeCatalog.find(a => String(a.id) === item.id) : null;
+        
+        if (anime) {
+            watchlistGrid.appendChild(createAnimeCard(anime));
+        } else {
+            // Fall back to the saved copy when the catalog is not loaded or the anime is gone
+            watchlistGrid.appendChild(createAnimeCard({
+                id: item.id,
+                title: item.title || 'Unknown anime',
+                image_url: item.image,
+                description: animeCatalog ? 'This anime is no longer available.' : ''
+            }));
+        }
+    });
+}
+
+/**
+ * Initialize the continue watching section
+ */
+function initContinueWatching() {
+    document.addEventListener(HISTORY_CHANGE_EVENT, renderContinueWatching);
+}
+
+/**
+ * Render the "Continue Watching" section from the watch history
+ */
+function renderContinueWatching() {
+    const section = document.getElementById('continue-watching');
+    const continueGrid = document.querySelector('#continue-watching .anime-grid');
+    
+    if (!section || !continueGrid || !animeCatalog) return;
+    
+    continueGrid.innerHTML = '';
+    
+    getRecentHistory().forEach(entry => {
+        // Anime that left the catalog cannot be resumed
+        const anime = animeCatalog.find(a => String(a.id) === entry.id);
+        const resume = anime ? getResumeEpisode(anime) : null;
+        
+        if (!resume) return;
+        
+        // Continue watching cards open the next episode directly
+        const card = createAnimeCard(anime, getEpisodeUrl(anime.id, resume.season, resume.episode));
+        const upNext = document.createElement('div');
+        upNext.className = 'anime-card-up-next';
+        upNext.textContent = `Up next: Season ${resume.season} · EP ${resume.episode}`;
+        card.querySelector('.anime-card-body').prepend(upNext);
+        
+        continueGrid.appendChild(card);
+    });
+    
+    // Hide the section until something has been watched
+    section.style.display = continueGrid.children.length > 0 ? '' : 'none';
+}
+
+/**
+ * Update a watchlist toggle button to reflect the stored state
+ * @param {HTMLElement} button - Button with a data-id attribute
+ */
+function updateWatchlistToggle(button) {
+    const inWatchlist = isInWatchlist(button.getAttribute('data-id'));
+    
+    button.classList.toggle('active', inWatchlist);
+    button.title = inWatchlist ? 'Remove from Watchlist' : 'Add to Watchlist';
+    button.innerHTML = `<i class="${inWatchlist ? 'fas' : 'far'} fa-bookmark"></i>`;
+}
+
+/**
+ * Register the keyboard shortcuts available on every page
+ */
+function initBrowseShortcuts() {
+    const searchInput = document.querySelector('.search-input');
+    
+    if (searchInput) {
+        registerShortcut('search', '/', 'Focus the search bar', function() {
+            searchInput.focus();
+            searchInput.select();
+        });
+    }
+}
+
 /**
  * Initialize modal functionality
  */
@@ -272,11 +946,8 @@ function showToast(message, type = 'info', duration = 3000) {
     
     if (!toastContainer) return;
     
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.innerHTML = `
-        <div class="toast-message">${message}</div>
-    `;
+    const toast = createSafeElement('div', `toast ${type}`);
+    toast.appendChild(createSafeElement('div', 'toast-message', message));
     
     toastContainer.appendChild(toast);
     
@@ -291,6 +962,44 @@ function showToast(message, type = 'info', duration = 3000) {
     }, duration);
 }
 
+/**
+ * Show a banner below the navigation bar while the browser is offline
+ */
+function initOfflineBanner() {
+    const navbar = document.querySelector('.navbar');
+    
+    if (!navbar) return;
+    
+    const banner = createSafeElement('div', 'offline-banner');
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = '<i class="fas fa-wifi"></i> You are offline. Saved anime, your watchlist and your history are still available.';
+    banner.style.display = navigator.onLine ? 'none' : '';
+    navbar.appendChild(banner);
+    
+    window.addEventListener('offline', function() {
+        banner.style.display = '';
+    });
+    
+    window.addEventListener('online', function() {
+        banner.style.display = 'none';
+        showToast('You are back online', 'success');
+    });
+}
+
+/**
+ * Register the service worker caching the app shell and the catalog
+ */
+function initServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    // Wait for the page to load, so caching the shell does not slow it down
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register('/service-worker.js').catch(error => {
+            console.error('Error registering the service worker:', error);
+        });
+    });
+}
+
 /**
  * Helper function to format a timestamp to a friendly format
  * @param {string} timestamp - ISO timestamp string
@@ -313,6 +1022,17 @@ function formatDate(timestamp) {
     });
 }
 
+/**
+ * Helper function to format a view count
+ * @param {number} views - Number of views
+ * @returns {string} Formatted view count
+ */
+function formatViews(views) {
+    const count = Number(views) || 0;
+    
+    return `${count.toLocaleString()} ${count === 1 ? 'view' : 'views'}`;
+}
+
 /**
  * Helper function to format a duration in minutes to a friendly format
  * @param {number} minutes - Duration in minutes
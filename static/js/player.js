@@ -24,8 +24,174 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Initialize season download modal
     initSeasonDownloadModal();
+    
+    // Initialize watchlist button
+    initWatchlistButton();
+    
+    // Initialize watched state and season progress
+    initWatchedProgress();
+    
+    // Initialize binge mode
+    initBingeMode();
+    
+    // Initialize skip intro and skip credits
+    initSkipMarkers();
+    
+    // Initialize multi-select in the season download modal
+    initDownloadSelection();
+    
+    // Initialize playlist and link list export
+    initSeasonExport();
+    
+    // Register the player shortcuts
+    initPlayerShortcuts();
+    
+    // Initialize view counting
+    initViewReporting();
+    
+    // Initialize the share panel
+    initShareModal();
 });
 
+// localStorage key of the binge mode preference
+const BINGE_MODE_STORAGE_KEY = 'animeZone.bingeMode';
+
+// Length of the countdown shown before the next episode starts
+const NEXT_EPISODE_COUNTDOWN_SECONDS = 10;
+
+// Timer of the running next episode countdown
+let nextEpisodeInterval = null;
+
+// localStorage key of the auto-skip preference
+const AUTO_SKIP_STORAGE_KEY = 'animeZone.autoSkip';
+
+// True once the native player reached the countdown window of the episode
+let nextEpisodeCountdownStarted = false;
+
+// hls.js instance playing the current stream, when the browser has no native HLS
+let hlsPlayer = null;
+
+// localStorage key of the subtitle language and caption style
+const SUBTITLES_STORAGE_KEY = 'animeZone.subtitles';
+
+// Subtitle preferences used until the user changes them
+const DEFAULT_SUBTITLE_SETTINGS = { enabled: true, language: null, size: 'medium', color: 'white', background: 'black' };
+
+// Language of the subtitle track currently shown, or 'off'
+let activeSubtitleLanguage = 'off';
+
+// Seconds an episode must be watched before it counts as a view. The embedded
+// player does not report playback, so there it is an approximation: the
+// seconds the page stays visible after the viewer first clicks into the
+// player. A paused video on a visible page still counts.
+const VIEW_MIN_WATCH_SECONDS = 30;
+
+// sessionStorage key of the episodes already counted in this session
+const VIEWED_EPISODES_STORAGE_KEY = 'animeZone.viewedEpisodes';
+
+// localStorage key prefix and current schema version of the download queues.
+// Each season has its own queue, so a season page only resumes its own downloads
+const DOWNLOAD_QUEUE_STORAGE_KEY = 'animeZone.downloadQueue';
+const DOWNLOAD_QUEUE_SCHEMA_VERSION = 1;
+
+// Time a started download keeps its slot before the next one may start
+const DOWNLOAD_SLOT_DELAY = 3000;
+
+// Number of slots currently waiting for their delay to end
+let activeDownloadSlots = 0;
+
+// Rough size of one minute of video, used to estimate download sizes
+const ESTIMATED_MB_PER_MINUTE = 14;
+
+// Video providers, matching the rules of video_providers.py on the server.
+// attachSource renders a native player source, openDownload is the fallback
+// used when the download link cannot be clicked.
+const VIDEO_PROVIDERS = [
+    {
+        name: 'drive',
+        matches: url => /^https:\/\/drive\.google\.com\//.test(url),
+        openDownload: function(url) {
+            if (url.includes('drive.google.com/uc?export=download')) {
+                // Fallback for Google Drive direct export URLs
+                window.location.href = url;
+                return true;
+            }
+            
+            // For preview links, open the /view page in a new tab instead
+            return Boolean(window.open(url.replace('/preview', '/view'), '_blank'));
+        }
+    },
+    {
+        name: 'hls',
+        matches: url => /^(https?:\/\/|\/static\/).+\.m3u8([?#]|$)/i.test(url),
+        attachSource: function(videoPlayer, url) {
+            // Safari plays HLS natively
+            if (videoPlayer.canPlayType('application/vnd.apple.mpegurl')) {
+                videoPlayer.src = url;
+            } else if (window.Hls && Hls.isSupported()) {
+                // Other browsers play it through hls.js
+                if (hlsPlayer) {
+                    hlsPlayer.destroy();
+                }
+                
+                hlsPlayer = new Hls();
+                hlsPlayer.on(Hls.Events.ERROR, function(event, data) {
+                    if (data.fatal) {
+                        console.error('HLS playback error:', data);
+                        handleVideoError();
+                    }
+                });
+                hlsPlayer.loadSource(url);
+                hlsPlayer.attachMedia(videoPlayer);
+            } else {
+                console.error('This browser cannot play HLS streams');
+                handleVideoError();
+            }
+        }
+    },
+    {
+        name: 'static',
+        matches: url => /^\/static\/.+\.(mp4|webm)([?#]|$)/i.test(url),
+        attachSource: (videoPlayer, url) => { videoPlayer.src = url; }
+    },
+    {
+        name: 'direct',
+        matches: url => /^https?:\/\/.+\.(mp4|webm)([?#]|$)/i.test(url),
+        attachSource: (videoPlayer, url) => { videoPlayer.src = url; }
+    }
+];
+
+/**
+ * Find the provider that handles a video or download URL
+ * @param {string} url - The URL to check
+ * @returns {Object|null} The matching provider
+ */
+function getVideoProvider(url) {
+    if (!url) return null;
+    
+    return VIDEO_PROVIDERS.find(provider => provider.matches(url)) || null;
+}
+
+/**
+ * Get the anime shown on the video page
+ * @returns {Object|null} The anime ID, title and image, with the current season and episode
+ */
+function getCurrentEpisode() {
+    const videoContainer = document.querySelector('.video-container');
+    
+    if (!videoContainer) return null;
+    
+    return {
+        anime: {
+            id: videoContainer.getAttribute('data-anime-id'),
+            title: videoContainer.getAttribute('data-title'),
+            image_url: videoContainer.getAttribute('data-image')
+        },
+        season: videoContainer.getAttribute('data-season'),
+        episode: videoContainer.getAttribute('data-episode')
+    };
+}
+
 /**
  * Initialize the video player
  */
@@ -34,9 +200,29 @@ function initVideoPlayer() {
     const loadingIndicator = document.getElementById('player-loading');
     const fullscreenBtn = document.getElementById('fullscreen-btn');
     const directDownloadBtn = document.getElementById('direct-download-btn');
-    const videoPlayerWrapper = document.querySelector('.video-player-wrapper');
+    const current = getCurrentEpisode();
     
-    if (videoPlayer) {
+    // Record the visit in the watch history
+    if (current) {
+        recordEpisodeVisit(current.anime, current.season, current.episode);
+    }
+    
+    // Handle fullscreen button
+    if (fullscreenBtn) {
+        fullscreenBtn.addEventListener('click', toggleFullscreen);
+    }
+    
+    // The last link check could not load this video, so say it at once
+    // instead of waiting for the player to time out
+    const videoContainer = document.querySelector('.video-container');
+    if (videoContainer && videoContainer.getAttribute('data-unavailable') === 'true') {
+        handleVideoError('This video could not be loaded during our last check. It might have been removed.');
+    }
+    
+    if (videoPlayer && videoPlayer.tagName === 'VIDEO') {
+        // Direct files and HLS streams play in a native <video> element
+        initNativePlayer(videoPlayer);
+    } else if (videoPlayer) {
         // Show loading indicator initially
         if (loadingIndicator) {
             loadingIndicator.style.display = 'flex';
@@ -51,6 +237,10 @@ function initVideoPlayer() {
                 loadingIndicator.style.display = 'none';
             }
             
+            // The iframe also loads the error page of an unavailable video,
+            // which must not be announced as a success
+            if (document.querySelector('.video-error-message')) return;
+            
             // Verify if the iframe loaded properly by checking if we can access contentWindow
             try {
                 if (videoPlayer.contentWindow) {
@@ -114,19 +304,6 @@ function initVideoPlayer() {
             }
         });
         
-        // Handle fullscreen button
-        if (fullscreenBtn) {
-            fullscreenBtn.addEventListener('click', function() {
-                if (videoPlayerWrapper.requestFullscreen) {
-                    videoPlayerWrapper.requestFullscreen();
-                } else if (videoPlayerWrapper.webkitRequestFullscreen) { /* Safari */
-                    videoPlayerWrapper.webkitRequestFullscreen();
-                } else if (videoPlayerWrapper.msRequestFullscreen) { /* IE11 */
-                    videoPlayerWrapper.msRequestFullscreen();
-                }
-            });
-        }
-        
         // Handle direct download button
         if (directDownloadBtn) {
             directDownloadBtn.addEventListener('click', function() {
@@ -146,15 +323,494 @@ function initVideoPlayer() {
     }
 }
 
+/**
+ * Initialize a native <video> player for direct files and HLS streams
+ * @param {HTMLVideoElement} videoPlayer - The video element
+ */
+function initNativePlayer(videoPlayer) {
+    const loadingIndicator = document.getElementById('player-loading');
+    
+    const setLoading = function(loading) {
+        if (loadingIndicator) {
+            loadingIndicator.style.display = loading ? 'flex' : 'none';
+        }
+    };
+    
+    setLoading(true);
+    
+    // The <video> element reports its own state, so no load timeout is needed
+    videoPlayer.addEventListener('loadeddata', () => setLoading(false));
+    videoPlayer.addEventListener('canplay', () => setLoading(false));
+    videoPlayer.addEventListener('playing', () => setLoading(false));
+    videoPlayer.addEventListener('waiting', () => setLoading(true));
+    
+    videoPlayer.addEventListener('stalled', function() {
+        // Stalled only means no data arrived for a while, playback may still recover
+        if (videoPlayer.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) {
+            setLoading(true);
+            showToast('The video is loading slowly...', 'info');
+        }
+    });
+    
+    videoPlayer.addEventListener('error', function() {
+        console.error('Video player error:', videoPlayer.error);
+        handleVideoError();
+    });
+    
+    // Start the next episode countdown from the real playback position
+    videoPlayer.addEventListener('timeupdate', function() {
+        const timeLeft = videoPlayer.duration - videoPlayer.currentTime;
+        
+        if (!isFinite(timeLeft) || timeLeft > NEXT_EPISODE_COUNTDOWN_SECONDS) {
+            nextEpisodeCountdownStarted = false;
+        } else if (!nextEpisodeCountdownStarted && isBingeModeEnabled() && getNextEpisodeUrl()) {
+            nextEpisodeCountdownStarted = true;
+            startNextEpisodeCountdown();
+        }
+    });
+    
+    // Shared links can start the episode at a timestamp (?t=seconds)
+    const startTime = getSharedStartTime();
+    
+    if (startTime > 0) {
+        videoPlayer.addEventListener('loadedmetadata', function() {
+            if (!isFinite(videoPlayer.duration) || startTime < videoPlayer.duration) {
+                videoPlayer.currentTime = startTime;
+            }
+        }, { once: true });
+    }
+    
+    initNativeControls(videoPlayer);
+    initSubtitles(videoPlayer);
+    attachVideoSource(videoPlayer);
+}
+
+/**
+ * Read the start timestamp of a shared link
+ * @returns {number} Start time in seconds, 0 when the link has none
+ */
+function getSharedStartTime() {
+    const startTime = parseInt(new URLSearchParams(window.location.search).get('t'), 10);
+    
+    return startTime > 0 ? startTime : 0;
+}
+
+/**
+ * Initialize the custom controls of the native player
+ * @param {HTMLVideoElement} videoPlayer - The video element
+ */
+function initNativeControls(videoPlayer) {
+    const videoWrapper = document.querySelector('.video-player-wrapper');
+    const playBtn = document.querySelector('.video-play-btn');
+    const seekBar = document.querySelector('.video-seek');
+    const timeDisplay = document.querySelector('.video-time');
+    const muteBtn = document.querySelector('.video-mute-btn');
+    const volumeBar = document.querySelector('.video-volume');
+    const speedSelect = document.querySelector('.video-speed');
+    const pipBtn = document.querySelector('.video-pip-btn');
+    
+    const updatePlayState = function() {
+        if (videoWrapper) {
+            videoWrapper.classList.toggle('paused', videoPlayer.paused);
+        }
+        
+        if (playBtn) {
+            playBtn.innerHTML = videoPlayer.paused ? '<i class="fas fa-play"></i>' : '<i class="fas fa-pause"></i>';
+            playBtn.title = videoPlayer.paused ? 'Play' : 'Pause';
+        }
+    };
+    
+    const updateTime = function() {
+        const duration = isFinite(videoPlayer.duration) ? videoPlayer.duration : 0;
+        
+        if (seekBar) {
+            // Live streams have no fixed length to seek in
+            seekBar.disabled = duration === 0;
+            seekBar.max = duration;
+            seekBar.value = videoPlayer.currentTime;
+        }
+        
+        if (timeDisplay) {
+            timeDisplay.textContent = `${formatPlaybackTime(videoPlayer.currentTime)} / ${formatPlaybackTime(duration)}`;
+        }
+    };
+    
+    const updateVolume = function() {
+        const muted = videoPlayer.muted || videoPlayer.volume === 0;
+        
+        if (muteBtn) {
+            muteBtn.innerHTML = muted ? '<i class="fas fa-volume-mute"></i>' : '<i class="fas fa-volume-up"></i>';
+            muteBtn.title = muted ? 'Unmute' : 'Mute';
+        }
+        
+        if (volumeBar) {
+            volumeBar.value = muted ? 0 : videoPlayer.volume;
+        }
+    };
+    
+    const togglePlay = function() {
+        if (videoPlayer.paused) {
+            videoPlayer.play().catch(error => console.error('Playback failed:', error));
+        } else {
+            videoPlayer.pause();
+        }
+    };
+    
+    videoPlayer.addEventListener('click', togglePlay);
+    videoPlayer.addEventListener('play', updatePlayState);
+    videoPlayer.addEventListener('pause', updatePlayState);
+    videoPlayer.addEventListener('timeupdate', updateTime);
+    videoPlayer.addEventListener('durationchange', updateTime);
+    videoPlayer.addEventListener('volumechange', updateVolume);
+    
+    if (playBtn) {
+        playBtn.addEventListener('click', togglePlay);
+    }
+    
+    if (seekBar) {
+        seekBar.addEventListener('input', function() {
+            videoPlayer.currentTime = parseFloat(this.value);
+        });
+    }
+    
+    if (muteBtn) {
+        muteBtn.addEventListener('click', function() {
+            if (videoPlayer.volume === 0) {
+                videoPlayer.volume = 1;
+                videoPlayer.muted = false;
+            } else {
+                videoPlayer.muted = !videoPlayer.muted;
+            }
+        });
+    }
+    
+    if (volumeBar) {
+        volumeBar.addEventListener('input', function() {
+            videoPlayer.volume = parseFloat(this.value);
+            videoPlayer.muted = videoPlayer.volume === 0;
+        });
+    }
+    
+    if (speedSelect) {
+        speedSelect.addEventListener('change', function() {
+            videoPlayer.playbackRate = parseFloat(this.value);
+        });
+        
+        // Loading a new source resets the rate, keep the selected one
+        videoPlayer.addEventListener('loadedmetadata', function() {
+            videoPlayer.playbackRate = parseFloat(speedSelect.value);
+        });
+    }
+    
+    if (pipBtn) {
+        if (!document.pictureInPictureEnabled || videoPlayer.disablePictureInPicture) {
+            // Picture-in-picture is not available in this browser
+            pipBtn.style.display = 'none';
+        } else {
+            pipBtn.addEventListener('click', function() {
+                const request = document.pictureInPictureElement ?
+                    document.exitPictureInPicture() :
+                    videoPlayer.requestPictureInPicture();
+                
+                request.catch(error => {
+                    console.error('Picture-in-picture failed:', error);
+                    showToast('Picture-in-picture is not available for this video', 'error');
+                });
+            });
+        }
+    }
+    
+    updatePlayState();
+    updateTime();
+    updateVolume();
+}
+
+/**
+ * Read the subtitle language and caption style preferences
+ * @returns {Object} The subtitle settings
+ */
+function loadSubtitleSettings() {
+    try {
+        return Object.assign({}, DEFAULT_SUBTITLE_SETTINGS, JSON.parse(localStorage.getItem(SUBTITLES_STORAGE_KEY)));
+    } catch (e) {
+        console.error('Error reading subtitle settings:', e);
+        return Object.assign({}, DEFAULT_SUBTITLE_SETTINGS);
+    }
+}
+
+/**
+ * Save changes to the subtitle preferences
+ * @param {Object} changes - Settings to update
+ * @returns {Object} The updated subtitle settings
+ */
+function saveSubtitleSettings(changes) {
+    const settings = Object.assign(loadSubtitleSettings(), changes);
+    localStorage.setItem(SUBTITLES_STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * Initialize the subtitle tracks, the track picker and the caption style settings
+ * @param {HTMLVideoElement} videoPlayer - The video element
+ */
+function initSubtitles(videoPlayer) {
+    const subtitlesBtn = document.querySelector('.video-subtitles-btn');
+    const subtitlesMenu = document.querySelector('.video-subtitles-menu');
+    const tracks = Array.from(videoPlayer.querySelectorAll('track'));
+    
+    if (!subtitlesBtn || !subtitlesMenu || tracks.length === 0) return;
+    
+    const settings = loadSubtitleSettings();
+    
+    // Keep the saved language when this episode has it, otherwise show the first track
+    const preferred = tracks.find(track => track.srclang === settings.language) || tracks[0];
+    showSubtitleTrack(videoPlayer, settings.enabled ? preferred.srclang : 'off');
+    
+    applyCaptionStyle(videoPlayer, settings);
+    
+    subtitlesBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        subtitlesMenu.classList.toggle('show');
+    });
+    
+    // Close the menu when clicking anywhere else
+    document.addEventListener('click', function(e) {
+        if (!subtitlesMenu.contains(e.target)) {
+            subtitlesMenu.classList.remove('show');
+        }
+    });
+    
+    const styleSelects = {
+        size: subtitlesMenu.querySelector('.subtitles-size'),
+        color: subtitlesMenu.querySelector('.subtitles-color'),
+        background: subtitlesMenu.querySelector('.subtitles-background')
+    };
+    
+    Object.keys(styleSelects).forEach(key => {
+        const select = styleSelects[key];
+        
+        if (!select) return;
+        
+        select.value = settings[key];
+        select.addEventListener('change', function() {
+            applyCaptionStyle(videoPlayer, saveSubtitleSettings({ [key]: this.value }));
+        });
+    });
+}
+
+/**
+ * Show one subtitle track and hide the others
+ * @param {HTMLVideoElement} videoPlayer - The video element
+ * @param {string} language - Language of the track to show, or 'off'
+ */
+function showSubtitleTrack(videoPlayer, language) {
+    activeSubtitleLanguage = language;
+    
+    videoPlayer.querySelectorAll('track').forEach(track => {
+        // Showing a track makes the browser load its file
+        if (track.track) {
+            track.track.mode = track.srclang === language ? 'showing' : 'disabled';
+        }
+    });
+    
+    const subtitlesBtn = document.querySelector('.video-subtitles-btn');
+    
+    if (subtitlesBtn) {
+        subtitlesBtn.classList.toggle('active', language !== 'off');
+    }
+    
+    renderSubtitleTracks(videoPlayer);
+}
+
+/**
+ * Show a subtitle track and remember the language for the next episodes
+ * @param {HTMLVideoElement} videoPlayer - The video element
+ * @param {string} language - Language of the track to show, or 'off'
+ */
+function chooseSubtitleTrack(videoPlayer, language) {
+    showSubtitleTrack(videoPlayer, language);
+    
+    // Turning subtitles off keeps the language for when they are turned back on
+    if (language === 'off') {
+        saveSubtitleSettings({ enabled: false });
+    } else {
+        saveSubtitleSettings({ enabled: true, language: language });
+    }
+}
+
+/**
+ * Turn subtitles off, or back on in the preferred language
+ */
+function toggleSubtitles() {
+    const videoPlayer = document.querySelector('video.video-player');
+    
+    if (!videoPlayer) return;
+    
+    const tracks = Array.from(videoPlayer.querySelectorAll('track'));
+    
+    if (tracks.length === 0) return;
+    
+    if (activeSubtitleLanguage !== 'off') {
+        chooseSubtitleTrack(videoPlayer, 'off');
+        showToast('Subtitles off', 'info');
+        return;
+    }
+    
+    const preferred = loadSubtitleSettings().language;
+    const track = tracks.find(t => t.srclang === preferred) || tracks[0];
+    
+    chooseSubtitleTrack(videoPlayer, track.srclang);
+    showToast(`Subtitles: ${track.label}`, 'info');
+}
+
+/**
+ * Render the track picker of the subtitle menu
+ * @param {HTMLVideoElement} videoPlayer - The video element
+ */
+function renderSubtitleTracks(videoPlayer) {
+    const trackList = document.querySelector('.subtitles-track-list');
+    
+    if (!trackList) return;
+    
+    const options = [{ language: 'off', label: 'Off' }].concat(
+        Array.from(videoPlayer.querySelectorAll('track')).map(track => ({ language: track.srclang, label: track.label }))
+    );
+    
+    trackList.innerHTML = '';
+    
+    options.forEach(option => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        
+        button.className = 'subtitles-track-btn';
+        button.classList.toggle('active', option.language === activeSubtitleLanguage);
+        button.textContent = option.label;
+        button.addEventListener('click', function() {
+            chooseSubtitleTrack(videoPlayer, option.language);
+        });
+        
+        item.appendChild(button);
+        trackList.appendChild(item);
+    });
+}
+
+/**
+ * Apply the caption style settings to the video element
+ * @param {HTMLVideoElement} videoPlayer - The video element
+ * @param {Object} settings - The subtitle settings
+ */
+function applyCaptionStyle(videoPlayer, settings) {
+    ['size', 'color', 'background'].forEach(key => {
+        const prefix = `caption-${key}-`;
+        
+        Array.from(videoPlayer.classList)
+            .filter(className => className.startsWith(prefix))
+            .forEach(className => videoPlayer.classList.remove(className));
+        
+        videoPlayer.classList.add(prefix + settings[key]);
+    });
+}
+
+/**
+ * Format a playback position for the player controls
+ * @param {number} seconds - Position in seconds
+ * @returns {string} Time as m:ss or h:mm:ss
+ */
+function formatPlaybackTime(seconds) {
+    const total = Math.floor(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Load the source of a native <video> player using its provider
+ * @param {HTMLVideoElement} videoPlayer - The video element with a data-src attribute
+ */
+function attachVideoSource(videoPlayer) {
+    const url = videoPlayer.getAttribute('data-src');
+    const provider = getVideoProvider(url);
+    
+    if (!provider || !provider.attachSource) {
+        console.error('No video provider can play this source:', url);
+        handleVideoError();
+        return;
+    }
+    
+    provider.attachSource(videoPlayer, url);
+}
+
+/**
+ * Toggle fullscreen on the video player
+ */
+function toggleFullscreen() {
+    const videoPlayerWrapper = document.querySelector('.video-player-wrapper');
+    
+    if (!videoPlayerWrapper) return;
+    
+    if (document.fullscreenElement || document.webkitFullscreenElement) {
+        if (document.exitFullscreen) {
+            document.exitFullscreen();
+        } else if (document.webkitExitFullscreen) { /* Safari */
+            document.webkitExitFullscreen();
+        }
+    } else if (videoPlayerWrapper.requestFullscreen) {
+        videoPlayerWrapper.requestFullscreen();
+    } else if (videoPlayerWrapper.webkitRequestFullscreen) { /* Safari */
+        videoPlayerWrapper.webkitRequestFullscreen();
+    } else if (videoPlayerWrapper.msRequestFullscreen) { /* IE11 */
+        videoPlayerWrapper.msRequestFullscreen();
+    }
+}
+
+/**
+ * Register the keyboard shortcuts of the video page
+ */
+function initPlayerShortcuts() {
+    // Trigger an existing button so shortcuts behave exactly like clicks
+    const clickButton = function(selector) {
+        return function() {
+            const button = document.querySelector(selector);
+            
+            if (button) {
+                button.click();
+            }
+        };
+    };
+    
+    registerShortcut('next-episode', 'n', 'Next episode', clickButton('.video-nav-next'));
+    registerShortcut('previous-episode', 'p', 'Previous episode', clickButton('.video-nav-prev'));
+    registerShortcut('fullscreen', 'f', 'Toggle fullscreen', toggleFullscreen);
+    registerShortcut('download', 'd', 'Download episode', clickButton('.video-action-btn.download'));
+    registerShortcut('season-download', 's', 'Open season download', clickButton('.video-action-btn.season-download'));
+    registerShortcut('watchlist', 'w', 'Add or remove from watchlist', clickButton('.video-action-btn.watchlist'));
+    
+    // Playback shortcuts only exist for the native player
+    if (document.querySelector('.video-controls-container')) {
+        registerShortcut('play-pause', 'k', 'Play or pause', clickButton('.video-play-btn'));
+        registerShortcut('mute', 'm', 'Mute or unmute', clickButton('.video-mute-btn'));
+    }
+    
+    if (document.querySelector('.video-subtitles-btn')) {
+        registerShortcut('subtitles', 'c', 'Turn subtitles on or off', toggleSubtitles);
+    }
+}
+
 /**
  * Handle video loading errors
+ * @param {string} message - Explanation shown in the player (optional)
  */
-function handleVideoError() {
+function handleVideoError(message = 'This video cannot be loaded. It might be restricted or no longer available.') {
     const loadingIndicator = document.getElementById('player-loading');
     if (loadingIndicator) {
         loadingIndicator.style.display = 'none';
     }
     
+    // The player can fail several ways at once, one message is enough
+    if (document.querySelector('.video-error-message')) return;
+    
     showToast('Video failed to load. The video might be unavailable or restricted.', 'error', 5000);
     
     // Provide visual indicator in the player
@@ -165,8 +821,11 @@ function handleVideoError() {
         errorMessage.innerHTML = `
             <i class="fas fa-exclamation-triangle"></i>
             <h3>Video Unavailable</h3>
-            <p>This video cannot be loaded. It might be restricted or no longer available.</p>
-            <button class="btn retry-button">Retry</button>
+            <p>${escapeHtml(message)}</p>
+            <div class="video-error-actions">
+                <button class="btn retry-button">Retry</button>
+                <button class="btn report-button"><i class="fas fa-flag"></i> Report broken link</button>
+            </div>
         `;
         
         // Remove loading indicator and player
@@ -191,7 +850,10 @@ function handleVideoError() {
                 
                 // Reload iframe with a fresh request
                 const videoPlayer = document.querySelector('.video-player');
-                if (videoPlayer) {
+                if (videoPlayer && videoPlayer.tagName === 'VIDEO') {
+                    // Setting the source again restarts the load
+                    attachVideoSource(videoPlayer);
+                } else if (videoPlayer) {
                     const currentSrc = videoPlayer.src;
                     videoPlayer.src = 'about:blank';
                     setTimeout(() => {
@@ -200,15 +862,51 @@ function handleVideoError() {
                 }
             });
         }
+        
+        const reportButton = errorMessage.querySelector('.report-button');
+        if (reportButton) {
+            reportButton.addEventListener('click', function() {
+                reportBrokenEpisode(reportButton);
+            });
+        }
     }
 }
 
 /**
- * Initialize episode navigation
+ * Report the video of the current episode as broken
+ * @param {HTMLButtonElement} button - The report button, disabled once the report is sent
  */
-function initEpisodeNavigation() {
-    const prevButton = document.querySelector('.video-nav-prev');
-    const nextButton = document.querySelector('.video-nav-next');
+function reportBrokenEpisode(button) {
+    const current = getCurrentEpisode();
+    
+    if (!current) return;
+    
+    button.disabled = true;
+    
+    fetch(`/api/reports/${encodeURIComponent(current.anime.id)}/${encodeURIComponent(current.season)}/${encodeURIComponent(current.episode)}`, { method: 'POST' })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            button.innerHTML = '<i class="fas fa-check"></i> Reported';
+            showToast(data.reported ? 'Thanks, we will check this video.' : 'You already reported this video.', 'success');
+        })
+        .catch(error => {
+            console.error('Error reporting the video:', error);
+            button.disabled = false;
+            showToast('Could not send the report. Please try again.', 'error');
+        });
+}
+
+/**
+ * Initialize episode navigation
+ */
+function initEpisodeNavigation() {
+    const prevButton = document.querySelector('.video-nav-prev');
+    const nextButton = document.querySelector('.video-nav-next');
     
     if (prevButton) {
         prevButton.addEventListener('click', function() {
@@ -233,6 +931,351 @@ function initEpisodeNavigation() {
     }
 }
 
+/**
+ * Check whether binge mode is enabled
+ * @returns {boolean} True if the next episode should start automatically
+ */
+function isBingeModeEnabled() {
+    return localStorage.getItem(BINGE_MODE_STORAGE_KEY) === 'on';
+}
+
+/**
+ * Get the URL of the next episode, following the season boundaries
+ * already resolved by the template
+ * @returns {string|null} The next episode URL or null on the last episode
+ */
+function getNextEpisodeUrl() {
+    const nextButton = document.querySelector('.video-nav-next');
+    
+    if (!nextButton || nextButton.classList.contains('disabled')) return null;
+    
+    return nextButton.getAttribute('data-href');
+}
+
+/**
+ * Initialize the binge mode preference. The countdown follows the position of
+ * the native player. The embedded player does not report its position, so it
+ * has no binge mode.
+ */
+function initBingeMode() {
+    const videoPlayer = document.querySelector('.video-player');
+    const bingeToggle = document.querySelector('.binge-toggle input');
+    
+    if (!bingeToggle) return;
+    
+    if (!videoPlayer || videoPlayer.tagName !== 'VIDEO') {
+        bingeToggle.closest('.binge-toggle').remove();
+        return;
+    }
+    
+    bingeToggle.checked = isBingeModeEnabled();
+    
+    bingeToggle.addEventListener('change', function() {
+        localStorage.setItem(BINGE_MODE_STORAGE_KEY, this.checked ? 'on' : 'off');
+        
+        if (this.checked) {
+            showToast('Binge mode on: the next episode will start automatically', 'info');
+        } else {
+            cancelNextEpisodeCountdown();
+            showToast('Binge mode off', 'info');
+        }
+    });
+}
+
+/**
+ * Check whether intros and credits should be skipped automatically
+ * @returns {boolean} True if auto-skip is enabled
+ */
+function isAutoSkipEnabled() {
+    return localStorage.getItem(AUTO_SKIP_STORAGE_KEY) === 'on';
+}
+
+/**
+ * Get the skip markers of the current episode
+ * @returns {Object} The intro start and end and the credits start in seconds, or null when unknown
+ */
+function getSkipMarkers() {
+    const videoContainer = document.querySelector('.video-container');
+    
+    const readMarker = function(name) {
+        const value = videoContainer ? parseFloat(videoContainer.getAttribute(`data-${name}`)) : NaN;
+        return isNaN(value) ? null : value;
+    };
+    
+    return {
+        introStart: readMarker('intro-start'),
+        introEnd: readMarker('intro-end'),
+        outroStart: readMarker('outro-start')
+    };
+}
+
+/**
+ * Initialize the skip intro and skip credits buttons and the auto-skip preference.
+ * They follow the position of the native player. The embedded player does not
+ * report its position, so it has no skip buttons.
+ */
+function initSkipMarkers() {
+    const videoPlayer = document.querySelector('.video-player');
+    const introBtn = document.querySelector('.skip-intro-btn');
+    const outroBtn = document.querySelector('.skip-outro-btn');
+    const autoSkipToggle = document.querySelector('.auto-skip-toggle input');
+    const markers = getSkipMarkers();
+    
+    if (!videoPlayer) return;
+    
+    if (videoPlayer.tagName !== 'VIDEO') {
+        [introBtn, outroBtn, autoSkipToggle && autoSkipToggle.closest('.auto-skip-toggle')].forEach(element => {
+            if (element) {
+                element.remove();
+            }
+        });
+        return;
+    }
+    
+    if (autoSkipToggle) {
+        autoSkipToggle.checked = isAutoSkipEnabled();
+        
+        autoSkipToggle.addEventListener('change', function() {
+            localStorage.setItem(AUTO_SKIP_STORAGE_KEY, this.checked ? 'on' : 'off');
+            showToast(this.checked ? 'Intros and credits will be skipped automatically' : 'Auto-skip off', 'info');
+        });
+    }
+    
+    if (outroBtn) {
+        outroBtn.addEventListener('click', skipCredits);
+    }
+    
+    // Each part is only auto-skipped once, so seeking back into it stays possible
+    let introAutoSkipped = false;
+    let creditsAutoSkipped = false;
+    
+    const reachCredits = function() {
+        if (outroBtn) {
+            outroBtn.classList.add('show');
+        }
+        
+        if (!isAutoSkipEnabled() || creditsAutoSkipped) return;
+        
+        creditsAutoSkipped = true;
+        
+        // With binge mode the countdown starts now instead of after the credits
+        if (isBingeModeEnabled() && getNextEpisodeUrl()) {
+            startNextEpisodeCountdown();
+        } else {
+            videoPlayer.currentTime = videoPlayer.duration;
+        }
+    };
+    
+    if (introBtn) {
+        introBtn.addEventListener('click', function() {
+            videoPlayer.currentTime = markers.introEnd;
+        });
+    }
+    
+    videoPlayer.addEventListener('timeupdate', function() {
+        const time = videoPlayer.currentTime;
+        const inIntro = markers.introEnd !== null && time >= markers.introStart && time < markers.introEnd;
+        const inCredits = markers.outroStart !== null && time >= markers.outroStart;
+        
+        if (introBtn) {
+            introBtn.classList.toggle('show', inIntro);
+        }
+        
+        if (inIntro && isAutoSkipEnabled() && !introAutoSkipped) {
+            introAutoSkipped = true;
+            videoPlayer.currentTime = markers.introEnd;
+            showToast('Intro skipped', 'info');
+        }
+        
+        if (inCredits) {
+            reachCredits();
+        } else if (outroBtn) {
+            outroBtn.classList.remove('show');
+        }
+    });
+}
+
+/**
+ * Skip the credits: go to the next episode, or to the end of the last one
+ */
+function skipCredits() {
+    const videoPlayer = document.querySelector('video.video-player');
+    const outroBtn = document.querySelector('.skip-outro-btn');
+    const nextUrl = getNextEpisodeUrl();
+    
+    if (nextUrl) {
+        window.location.href = nextUrl;
+        return;
+    }
+    
+    if (videoPlayer && isFinite(videoPlayer.duration)) {
+        videoPlayer.currentTime = videoPlayer.duration;
+    }
+    
+    if (outroBtn) {
+        outroBtn.classList.remove('show');
+    }
+}
+
+/**
+ * Show the "Next episode in 10s" overlay and go to the next episode when it runs out
+ */
+function startNextEpisodeCountdown() {
+    const videoWrapper = document.querySelector('.video-player-wrapper');
+    const nextUrl = getNextEpisodeUrl();
+    
+    if (!videoWrapper || !nextUrl) return;
+    
+    cancelNextEpisodeCountdown();
+    
+    let secondsLeft = NEXT_EPISODE_COUNTDOWN_SECONDS;
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'next-episode-overlay';
+    overlay.innerHTML = `
+        <p class="next-episode-text">Next episode in <span class="next-episode-seconds">${secondsLeft}</span>s</p>
+        <div class="next-episode-actions">
+            <button class="next-episode-play"><i class="fas fa-forward"></i> Play now</button>
+            <button class="next-episode-cancel">Cancel</button>
+        </div>
+    `;
+    
+    videoWrapper.appendChild(overlay);
+    
+    overlay.querySelector('.next-episode-play').addEventListener('click', function() {
+        window.location.href = nextUrl;
+    });
+    
+    overlay.querySelector('.next-episode-cancel').addEventListener('click', cancelNextEpisodeCountdown);
+    
+    nextEpisodeInterval = setInterval(() => {
+        secondsLeft--;
+        
+        if (secondsLeft <= 0) {
+            clearInterval(nextEpisodeInterval);
+            window.location.href = nextUrl;
+        } else {
+            overlay.querySelector('.next-episode-seconds').textContent = secondsLeft;
+        }
+    }, 1000);
+}
+
+/**
+ * Cancel a running next episode countdown
+ */
+function cancelNextEpisodeCountdown() {
+    const overlay = document.querySelector('.next-episode-overlay');
+    
+    clearInterval(nextEpisodeInterval);
+    
+    if (overlay) {
+        overlay.remove();
+    }
+}
+
+/**
+ * Report a view once the episode has been watched for VIEW_MIN_WATCH_SECONDS.
+ * Native players count the time actually played; embedded players cannot be
+ * observed, so the time the page stays visible after a click into the player
+ * is counted instead.
+ */
+function initViewReporting() {
+    const current = getCurrentEpisode();
+    
+    if (!current) return;
+    
+    const key = `${current.anime.id}/${getEpisodeKey(current.season, current.episode)}`;
+    let viewed = [];
+    
+    try {
+        viewed = JSON.parse(sessionStorage.getItem(VIEWED_EPISODES_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.error('Error reading viewed episodes:', e);
+    }
+    
+    // Each episode counts once per session
+    if (viewed.includes(key)) return;
+    
+    const videoPlayer = document.querySelector('video.video-player');
+    let watchedSeconds = 0;
+    let reported = false;
+    let visibleTimer = null;
+    
+    function reportView() {
+        if (reported) return;
+        
+        reported = true;
+        clearInterval(visibleTimer);
+        
+        fetch(`/api/views/${encodeURIComponent(current.anime.id)}/${encodeURIComponent(current.season)}/${encodeURIComponent(current.episode)}`, { method: 'POST' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Network response was not ok');
+                }
+                return response.json();
+            })
+            .then(data => {
+                try {
+                    sessionStorage.setItem(VIEWED_EPISODES_STORAGE_KEY, JSON.stringify(viewed.concat(key)));
+                } catch (e) {
+                    console.error('Error saving viewed episodes:', e);
+                }
+                
+                const views = document.querySelector('.video-views');
+                
+                if (views) {
+                    views.innerHTML = safeHtml`<i class="fas fa-eye"></i> ${formatViews(data.views)}`;
+                }
+            })
+            .catch(error => {
+                console.error('Error reporting the view:', error);
+            });
+    }
+    
+    if (videoPlayer) {
+        let lastTime = null;
+        
+        videoPlayer.addEventListener('timeupdate', function() {
+            // Only count time played at normal pace, not jumps from seeking
+            const delta = lastTime === null ? 0 : videoPlayer.currentTime - lastTime;
+            
+            if (delta > 0 && delta < 2) {
+                watchedSeconds += delta;
+            }
+            
+            lastTime = videoPlayer.currentTime;
+            
+            if (watchedSeconds >= VIEW_MIN_WATCH_SECONDS) {
+                reportView();
+            }
+        });
+        
+        videoPlayer.addEventListener('seeking', function() {
+            lastTime = null;
+        });
+    } else {
+        const embeddedPlayer = document.querySelector('iframe.video-player');
+        
+        // A click into the iframe moves the focus out of the page, which is
+        // the only sign the page gets that the viewer pressed play
+        window.addEventListener('blur', function startCounting() {
+            if (!embeddedPlayer || document.activeElement !== embeddedPlayer) return;
+            
+            window.removeEventListener('blur', startCounting);
+            
+            visibleTimer = setInterval(() => {
+                if (document.visibilityState === 'visible') {
+                    watchedSeconds += 1;
+                }
+                
+                if (watchedSeconds >= VIEW_MIN_WATCH_SECONDS) {
+                    reportView();
+                }
+            }, 1000);
+        });
+    }
+}
+
 /**
  * Initialize download buttons
  */
@@ -287,9 +1330,159 @@ function initDownloadButtons() {
                 openModal(modal);
             }
         });
+        
+        // Links from the anime detail page open the modal directly
+        if (window.location.hash === '#season-download') {
+            seasonDownloadButton.click();
+        }
     }
 }
 
+/**
+ * Initialize the share panel: copyable link, optional timestamp and native share sheet
+ */
+function initShareModal() {
+    const shareButton = document.querySelector('.video-action-btn.share');
+    const modal = document.getElementById('shareModal');
+    
+    if (!shareButton || !modal) return;
+    
+    const linkInput = modal.querySelector('.share-link-input');
+    const copyButton = modal.querySelector('.share-copy-btn');
+    const timestampToggle = modal.querySelector('.share-timestamp-toggle');
+    const timestampValue = modal.querySelector('.share-timestamp-value');
+    const nativeButton = modal.querySelector('.share-native-btn');
+    const videoPlayer = document.querySelector('video.video-player');
+    let startTime = 0;
+    
+    const updateShareLink = function() {
+        linkInput.value = getShareUrl(timestampToggle && timestampToggle.checked ? startTime : 0);
+    };
+    
+    shareButton.addEventListener('click', function() {
+        // Offer to start the link where the viewer is now
+        startTime = videoPlayer ? Math.floor(videoPlayer.currentTime) : 0;
+        
+        if (timestampValue) {
+            timestampValue.textContent = formatPlaybackTime(startTime);
+        }
+        
+        updateShareLink();
+        openModal(modal);
+        linkInput.select();
+    });
+    
+    if (timestampToggle) {
+        timestampToggle.addEventListener('change', updateShareLink);
+    }
+    
+    linkInput.addEventListener('focus', function() {
+        this.select();
+    });
+    
+    copyButton.addEventListener('click', function() {
+        copyShareLink(linkInput);
+    });
+    
+    // The Web Share API opens the system share sheet on supported browsers
+    if (navigator.share) {
+        nativeButton.style.display = '';
+        
+        nativeButton.addEventListener('click', function() {
+            navigator.share({
+                title: document.title,
+                url: linkInput.value
+            }).catch(error => {
+                // Closing the share sheet rejects with AbortError
+                if (error.name !== 'AbortError') {
+                    console.error('Error sharing the episode:', error);
+                    showToast('Could not open the share sheet', 'error');
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Build the link to the current episode
+ * @param {number} startTime - Start time in seconds, 0 for none
+ * @returns {string} The absolute episode URL
+ */
+function getShareUrl(startTime) {
+    const url = new URL(window.location.pathname, window.location.origin);
+    
+    if (startTime > 0) {
+        url.searchParams.set('t', startTime);
+    }
+    
+    return url.toString();
+}
+
+/**
+ * Copy the share link to the clipboard
+ * @param {HTMLInputElement} linkInput - The input holding the link
+ */
+function copyShareLink(linkInput) {
+    const copied = function() {
+        showToast('Link copied to clipboard', 'success');
+    };
+    
+    if (navigator.clipboard && window.isSecureContext) {
+        navigator.clipboard.writeText(linkInput.value)
+            .then(copied)
+            .catch(error => {
+                console.error('Error copying the link:', error);
+                showToast('Could not copy the link, copy it from the field instead', 'error');
+            });
+        return;
+    }
+    
+    // Older browsers and plain HTTP only support copying a selection
+    linkInput.select();
+    
+    if (document.execCommand('copy')) {
+        copied();
+    } else {
+        showToast('Could not copy the link, copy it from the field instead', 'error');
+    }
+}
+
+/**
+ * Initialize the "Add to Watchlist" button
+ */
+function initWatchlistButton() {
+    const watchlistButton = document.querySelector('.video-action-btn.watchlist');
+    
+    if (!watchlistButton) return;
+    
+    const anime = {
+        id: watchlistButton.getAttribute('data-anime-id'),
+        title: watchlistButton.getAttribute('data-title'),
+        image_url: watchlistButton.getAttribute('data-image')
+    };
+    
+    // Reflect the stored state in the button label
+    const updateButton = function() {
+        const inWatchlist = isInWatchlist(anime.id);
+        
+        watchlistButton.classList.toggle('active', inWatchlist);
+        watchlistButton.innerHTML = inWatchlist ?
+            '<i class="fas fa-bookmark"></i> In Watchlist' :
+            '<i class="far fa-bookmark"></i> Add to Watchlist';
+    };
+    
+    updateButton();
+    document.addEventListener(WATCHLIST_CHANGE_EVENT, updateButton);
+    
+    watchlistButton.addEventListener('click', function() {
+        if (toggleWatchlist(anime)) {
+            showToast('Added to your watchlist', 'success');
+        } else {
+            showToast('Removed from your watchlist', 'info');
+        }
+    });
+}
+
 /**
  * Initialize season dropdown
  */
@@ -331,34 +1524,122 @@ function initEpisodeCards() {
     });
 }
 
+/**
+ * Initialize watched toggles on episode cards and the season progress display
+ */
+function initWatchedProgress() {
+    const current = getCurrentEpisode();
+    const seasonWatchedBtn = document.querySelector('.season-watched-btn');
+    const episodeCards = document.querySelectorAll('.episode-card');
+    
+    if (!current) return;
+    
+    const seasonEpisodes = Array.from(episodeCards).map(card => card.getAttribute('data-episode'));
+    
+    // Toggle a single episode from its card
+    episodeCards.forEach(card => {
+        const watchedBtn = card.querySelector('.episode-card-watched');
+        
+        if (watchedBtn) {
+            watchedBtn.addEventListener('click', function(event) {
+                event.stopPropagation();
+                
+                const episode = card.getAttribute('data-episode');
+                const watched = !isEpisodeWatched(current.anime.id, current.season, episode);
+                setEpisodesWatched(current.anime, current.season, [episode], watched);
+            });
+        }
+    });
+    
+    // Toggle the whole season at once
+    if (seasonWatchedBtn) {
+        seasonWatchedBtn.addEventListener('click', function() {
+            const allWatched = countWatchedEpisodes(current.anime.id, current.season) >= seasonEpisodes.length;
+            setEpisodesWatched(current.anime, current.season, seasonEpisodes, !allWatched);
+            showToast(allWatched ? 'Season marked as unwatched' : 'Season marked as watched', 'success');
+        });
+    }
+    
+    updateWatchedProgress();
+    document.addEventListener(HISTORY_CHANGE_EVENT, updateWatchedProgress);
+}
+
+/**
+ * Reflect the watch history on episode cards, the season progress bar and the season dropdown
+ */
+function updateWatchedProgress() {
+    const current = getCurrentEpisode();
+    const episodeCards = document.querySelectorAll('.episode-card');
+    const seasonWatchedBtn = document.querySelector('.season-watched-btn');
+    const progressFill = document.querySelector('.season-progress-fill');
+    const progressText = document.querySelector('.season-progress-text');
+    
+    if (!current) return;
+    
+    let watchedCount = 0;
+    
+    episodeCards.forEach(card => {
+        const watched = isEpisodeWatched(current.anime.id, current.season, card.getAttribute('data-episode'));
+        const watchedBtn = card.querySelector('.episode-card-watched');
+        
+        card.classList.toggle('watched', watched);
+        
+        if (watchedBtn) {
+            watchedBtn.title = watched ? 'Mark as unwatched' : 'Mark as watched';
+        }
+        
+        if (watched) {
+            watchedCount++;
+        }
+    });
+    
+    const total = episodeCards.length;
+    
+    if (progressFill) {
+        progressFill.style.width = total > 0 ? `${(watchedCount / total) * 100}%` : '0';
+    }
+    
+    if (progressText) {
+        progressText.textContent = `${watchedCount} / ${total} watched`;
+    }
+    
+    if (seasonWatchedBtn) {
+        const allWatched = total > 0 && watchedCount >= total;
+        seasonWatchedBtn.innerHTML = allWatched ?
+            '<i class="fas fa-undo"></i> Mark season unwatched' :
+            '<i class="fas fa-check-double"></i> Mark season watched';
+    }
+    
+    // Show the progress of every season in the dropdown
+    document.querySelectorAll('.season-dropdown-content a[data-season]').forEach(link => {
+        const progress = link.querySelector('.season-dropdown-progress');
+        
+        if (progress) {
+            const seasonTotal = parseInt(link.getAttribute('data-total'), 10) || 0;
+            const seasonWatched = Math.min(countWatchedEpisodes(current.anime.id, link.getAttribute('data-season')), seasonTotal);
+            progress.textContent = `${seasonWatched} / ${seasonTotal}`;
+        }
+    });
+}
+
 /**
  * Initialize the season download modal
  */
 function initSeasonDownloadModal() {
     const downloadAllBtn = document.querySelector('.download-all-btn');
     const individualDownloadBtns = document.querySelectorAll('.download-item-btn');
+    const pauseBtn = document.querySelector('.download-queue-pause');
+    const retryBtn = document.querySelector('.download-queue-retry');
+    const cancelBtn = document.querySelector('.download-queue-cancel');
+    const concurrencySelect = document.querySelector('.download-concurrency');
     
     if (downloadAllBtn) {
         downloadAllBtn.addEventListener('click', function() {
-            // Get all download links
-            const downloadLinks = Array.from(document.querySelectorAll('.download-item-btn')).map(btn => btn.getAttribute('data-url'));
+            const items = Array.from(document.querySelectorAll('.download-item')).map(getDownloadItemData);
             
-            // Check if we have any download links
-            if (downloadLinks.length > 0) {
-                // Create a delay between each download to avoid browser blocking
-                downloadLinks.forEach((url, index) => {
-                    setTimeout(() => {
-                        startDownload(url);
-                    }, index * 1000); // 1 second delay between each download
-                });
-                
-                showToast(`Started downloading ${downloadLinks.length} episodes`, 'success');
-                
-                // Close the modal after starting downloads
-                const modal = document.querySelector('.season-download-modal');
-                if (modal) {
-                    closeModal(modal);
-                }
+            if (items.length > 0) {
+                const added = enqueueDownloads(items);
+                showToast(added > 0 ? `Queued ${added} episodes for download` : 'These episodes are already queued', 'success');
             } else {
                 showToast('No episodes available for download', 'error');
             }
@@ -371,25 +1652,437 @@ function initSeasonDownloadModal() {
                 event.preventDefault();
                 event.stopPropagation();
                 
-                const downloadUrl = this.getAttribute('data-url');
+                const item = getDownloadItemData(this.closest('.download-item'));
                 
-                if (downloadUrl) {
-                    startDownload(downloadUrl);
-                    showToast('Download started!', 'success');
+                if (item.url) {
+                    enqueueDownloads([item]);
                 } else {
                     showToast('Download URL not available', 'error');
                 }
             });
         });
     }
+    
+    if (pauseBtn) {
+        pauseBtn.addEventListener('click', function() {
+            const queue = loadDownloadQueue();
+            queue.paused = !queue.paused;
+            saveDownloadQueue(queue);
+            processDownloadQueue();
+        });
+    }
+    
+    if (retryBtn) {
+        retryBtn.addEventListener('click', function() {
+            const queue = loadDownloadQueue();
+            queue.items.forEach(item => {
+                if (item.status === 'failed') {
+                    item.status = 'queued';
+                }
+            });
+            saveDownloadQueue(queue);
+            processDownloadQueue();
+        });
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', function() {
+            saveDownloadQueue(Object.assign(loadDownloadQueue(), { items: [], paused: false }));
+            showToast('Download queue cleared', 'info');
+        });
+    }
+    
+    if (concurrencySelect) {
+        concurrencySelect.value = String(loadDownloadQueue().concurrency);
+        concurrencySelect.addEventListener('change', function() {
+            saveDownloadQueue(Object.assign(loadDownloadQueue(), { concurrency: parseInt(this.value, 10) || 1 }));
+            processDownloadQueue();
+        });
+    }
+    
+    // A queue left over from a previous visit waits for the user to resume it,
+    // since browsers block downloads that are not started from a click
+    const queue = loadDownloadQueue();
+    
+    if (queue.items.some(item => item.status === 'queued')) {
+        queue.paused = true;
+        saveDownloadQueue(queue);
+        showToast('You have unfinished downloads. Open "Download Season" to resume them.', 'info', 5000);
+    } else {
+        renderDownloadQueue();
+    }
+}
+
+/**
+ * Initialize episode selection in the season download modal
+ */
+function initDownloadSelection() {
+    const checkboxes = Array.from(document.querySelectorAll('.download-item-select'));
+    const selectAllBtn = document.querySelector('.download-select-all');
+    const selectUnwatchedBtn = document.querySelector('.download-select-unwatched');
+    const selectNoneBtn = document.querySelector('.download-select-none');
+    const downloadSelectedBtn = document.querySelector('.download-selected-btn');
+    const current = getCurrentEpisode();
+    
+    let lastClickedIndex = null;
+    
+    // Shift-click selects or clears the whole range since the last click
+    checkboxes.forEach((checkbox, index) => {
+        checkbox.addEventListener('click', function(event) {
+            if (event.shiftKey && lastClickedIndex !== null) {
+                const start = Math.min(lastClickedIndex, index);
+                const end = Math.max(lastClickedIndex, index);
+                
+                checkboxes.slice(start, end + 1).forEach(other => {
+                    other.checked = checkbox.checked;
+                });
+            }
+            
+            lastClickedIndex = index;
+            updateDownloadSelection();
+        });
+    });
+    
+    const selectWhere = function(predicate) {
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = predicate(checkbox.closest('.download-item'));
+        });
+        
+        lastClickedIndex = null;
+        updateDownloadSelection();
+    };
+    
+    if (selectAllBtn) {
+        selectAllBtn.addEventListener('click', () => selectWhere(() => true));
+    }
+    
+    if (selectNoneBtn) {
+        selectNoneBtn.addEventListener('click', () => selectWhere(() => false));
+    }
+    
+    if (selectUnwatchedBtn && current) {
+        selectUnwatchedBtn.addEventListener('click', () => selectWhere(item => {
+            return !isEpisodeWatched(current.anime.id, current.season, item.getAttribute('data-episode'));
+        }));
+    }
+    
+    if (downloadSelectedBtn) {
+        downloadSelectedBtn.addEventListener('click', function() {
+            const items = checkboxes
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => getDownloadItemData(checkbox.closest('.download-item')));
+            
+            if (items.length > 0) {
+                const added = enqueueDownloads(items);
+                showToast(added > 0 ? `Queued ${added} episodes for download` : 'These episodes are already queued', 'success');
+            }
+        });
+    }
+    
+    updateDownloadSelection();
+}
+
+/**
+ * Show the number, total duration and estimated size of the selected episodes
+ */
+function updateDownloadSelection() {
+    const selected = Array.from(document.querySelectorAll('.download-item-select:checked'));
+    const summary = document.querySelector('.download-selection-summary');
+    const downloadSelectedBtn = document.querySelector('.download-selected-btn');
+    
+    const minutes = selected.reduce((total, checkbox) => {
+        return total + (parseFloat(checkbox.closest('.download-item').getAttribute('data-duration')) || 0);
+    }, 0);
+    
+    if (downloadSelectedBtn) {
+        downloadSelectedBtn.disabled = selected.length === 0;
+    }
+    
+    if (!summary) return;
+    
+    if (selected.length === 0) {
+        summary.textContent = 'No episodes selected';
+        return;
+    }
+    
+    const sizeMb = minutes * ESTIMATED_MB_PER_MINUTE;
+    const size = sizeMb >= 1024 ? `${(sizeMb / 1024).toFixed(1)} GB` : `${Math.round(sizeMb)} MB`;
+    
+    summary.textContent = `${selected.length} episode${selected.length > 1 ? 's' : ''} selected` +
+        (minutes > 0 ? ` · ${formatDuration(minutes)} · ~${size}` : '');
+}
+
+/**
+ * Initialize the season export buttons of the download modal
+ */
+function initSeasonExport() {
+    document.querySelectorAll('.download-export-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            exportSeason(this.getAttribute('data-format'));
+        });
+    });
+}
+
+/**
+ * Export the episodes of the current season as a playlist or link list.
+ * The file is built from the download list already on the page.
+ * @param {string} format - m3u, txt or csv
+ */
+function exportSeason(format) {
+    const current = getCurrentEpisode();
+    
+    if (!current) return;
+    
+    const episodes = Array.from(document.querySelectorAll('.download-item')).map(element => {
+        const item = getDownloadItemData(element);
+        
+        return {
+            number: item.episode,
+            title: element.getAttribute('data-title') || `Episode ${item.episode}`,
+            duration: parseFloat(element.getAttribute('data-duration')) || 0,
+            url: item.url
+        };
+    }).filter(episode => episode.url);
+    
+    if (episodes.length === 0) {
+        showToast('No episodes available for export', 'error');
+        return;
+    }
+    
+    const baseName = `${current.anime.title} Season ${current.season}`;
+    const fileName = baseName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    let content;
+    let mimeType;
+    
+    if (format === 'm3u') {
+        // Extended M3U: duration in seconds (-1 when unknown) followed by the title
+        content = '#EXTM3U\n' + episodes.map(episode => {
+            const seconds = episode.duration ? Math.round(episode.duration * 60) : -1;
+            return `#EXTINF:${seconds},${baseName} - Episode ${episode.number} - ${episode.title}\n${episode.url}`;
+        }).join('\n') + '\n';
+        mimeType = 'audio/x-mpegurl';
+    } else if (format === 'csv') {
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        
+        content = 'episode,title,duration_minutes,url\n' + episodes.map(episode => {
+            return [episode.number, quote(episode.title), episode.duration || '', quote(episode.url)].join(',');
+        }).join('\n') + '\n';
+        mimeType = 'text/csv';
+    } else {
+        content = episodes.map(episode => episode.url).join('\n') + '\n';
+        mimeType = 'text/plain';
+    }
+    
+    saveTextFile(`${fileName}.${format}`, content, mimeType);
+    showToast(`Exported ${episodes.length} episodes`, 'success');
+}
+
+/**
+ * Save generated text as a file on the user's device
+ * @param {string} fileName - Name of the saved file
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the file
+ */
+function saveTextFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const objectUrl = URL.createObjectURL(blob);
+    const downloadLink = document.createElement('a');
+    
+    downloadLink.href = objectUrl;
+    downloadLink.download = fileName;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    
+    // Clean up
+    setTimeout(() => {
+        document.body.removeChild(downloadLink);
+        URL.revokeObjectURL(objectUrl);
+    }, 100);
+}
+
+/**
+ * Read the download details of a download list item
+ * @param {HTMLElement} element - The .download-item element
+ * @returns {Object} The download queue item
+ */
+function getDownloadItemData(element) {
+    const current = getCurrentEpisode();
+    const button = element.querySelector('.download-item-btn');
+    const title = element.querySelector('.download-item-title');
+    
+    const animeId = current ? current.anime.id : '';
+    const season = current ? current.season : '';
+    const episode = element.getAttribute('data-episode');
+    
+    return {
+        id: `${animeId}/${season}/${episode}`,
+        url: button ? button.getAttribute('data-url') : '',
+        animeId: animeId,
+        season: season,
+        episode: episode,
+        title: title ? title.textContent.trim() : '',
+        status: 'queued'
+    };
+}
+
+/**
+ * Get the localStorage key of the download queue of a season
+ * @param {string} animeId - The anime ID
+ * @param {string} season - The season number
+ * @returns {string} The storage key
+ */
+function getDownloadQueueKey(animeId, season) {
+    return `${DOWNLOAD_QUEUE_STORAGE_KEY}.${animeId}/${season}`;
+}
+
+/**
+ * Read the download queue of the current season from localStorage
+ * @returns {Object} The queue with its items, pause state and concurrency
+ */
+function loadDownloadQueue() {
+    const emptyQueue = { version: DOWNLOAD_QUEUE_SCHEMA_VERSION, paused: false, concurrency: 1, items: [] };
+    const current = getCurrentEpisode();
+    
+    if (!current) return emptyQueue;
+    
+    try {
+        const stored = JSON.parse(localStorage.getItem(getDownloadQueueKey(current.anime.id, current.season)));
+        
+        if (stored && stored.version === DOWNLOAD_QUEUE_SCHEMA_VERSION && Array.isArray(stored.items)) {
+            return stored;
+        }
+    } catch (e) {
+        console.error('Error reading download queue:', e);
+    }
+    
+    return emptyQueue;
+}
+
+/**
+ * Write the download queue of the current season to localStorage and refresh the modal
+ * @param {Object} queue - The download queue
+ */
+function saveDownloadQueue(queue) {
+    const current = getCurrentEpisode();
+    
+    if (!current) return;
+    
+    try {
+        localStorage.setItem(getDownloadQueueKey(current.anime.id, current.season), JSON.stringify(queue));
+    } catch (e) {
+        console.error('Error saving download queue:', e);
+    }
+    
+    renderDownloadQueue();
+}
+
+/**
+ * Add downloads to the queue and start processing it
+ * @param {Array} items - Download queue items
+ * @returns {number} The number of items actually added
+ */
+function enqueueDownloads(items) {
+    const queue = loadDownloadQueue();
+    let added = 0;
+    
+    items.forEach(item => {
+        if (!item.url) return;
+        
+        const existing = queue.items.find(queued => queued.id === item.id);
+        
+        if (!existing) {
+            queue.items.push(item);
+            added++;
+        } else if (existing.status === 'failed') {
+            // Queueing a failed download again retries it
+            existing.status = 'queued';
+            added++;
+        }
+    });
+    
+    queue.paused = false;
+    saveDownloadQueue(queue);
+    processDownloadQueue();
+    
+    return added;
+}
+
+/**
+ * Start queued downloads while free slots are available
+ */
+function processDownloadQueue() {
+    const queue = loadDownloadQueue();
+    
+    if (queue.paused) return;
+    
+    while (activeDownloadSlots < queue.concurrency) {
+        const item = queue.items.find(queued => queued.status === 'queued');
+        
+        if (!item) break;
+        
+        // Only a download that cannot be started fails: an unsafe link or a
+        // blocked popup. The browser does not tell the page how a started one ends.
+        item.status = startDownload(item.url) ? 'started' : 'failed';
+        saveDownloadQueue(queue);
+        
+        activeDownloadSlots++;
+        setTimeout(() => {
+            activeDownloadSlots--;
+            processDownloadQueue();
+        }, DOWNLOAD_SLOT_DELAY);
+    }
+}
+
+/**
+ * Show the queue state in the season download modal
+ */
+function renderDownloadQueue() {
+    const queue = loadDownloadQueue();
+    const summary = document.querySelector('.download-queue-summary');
+    const pauseBtn = document.querySelector('.download-queue-pause');
+    
+    // Per-episode status in the download list
+    document.querySelectorAll('.download-item').forEach(element => {
+        const id = getDownloadItemData(element).id;
+        const item = queue.items.find(queued => queued.id === id);
+        const status = element.querySelector('.download-item-status');
+        
+        if (item) {
+            element.setAttribute('data-status', item.status);
+        } else {
+            element.removeAttribute('data-status');
+        }
+        
+        if (status) {
+            status.textContent = item ? item.status : '';
+        }
+    });
+    
+    if (summary) {
+        const count = status => queue.items.filter(item => item.status === status).length;
+        
+        summary.textContent = queue.items.length > 0 ?
+            `${count('queued')} queued · ${count('started')} started · ${count('failed')} failed${queue.paused ? ' (paused)' : ''}` :
+            'No downloads queued';
+    }
+    
+    if (pauseBtn) {
+        pauseBtn.innerHTML = queue.paused ?
+            '<i class="fas fa-play"></i> Resume' :
+            '<i class="fas fa-pause"></i> Pause';
+    }
 }
 
 /**
  * Start a download with the given URL
  * @param {string} url - The URL to download
+ * @returns {boolean} False if the browser refused to start the download
  */
 function startDownload(url) {
-    if (!url) return;
+    // Only web URLs can be downloaded, never javascript: or data: links
+    url = sanitizeUrl(url);
+    
+    if (!url) return false;
     
     try {
         // For all URLs, use the anchor element approach first (most reliable)
@@ -406,48 +2099,23 @@ function startDownload(url) {
         setTimeout(() => {
             document.body.removeChild(downloadLink);
         }, 100);
+        
+        return true;
     } catch (e) {
         console.error('Download error:', e);
         
-        // Fallback methods based on URL type
-        if (url.includes('drive.google.com/uc?export=download')) {
-            // Fallback for Google Drive direct export URLs
-            window.location.href = url;
-        } else {
-            // For other URLs, just convert /preview to /view and open in new tab
-            const directDownloadUrl = url.includes('/preview') ? 
-                                    url.replace('/preview', '/view') : 
-                                    url;
-            
-            // Open in a new tab
-            window.open(directDownloadUrl, '_blank');
+        // Fallback depending on the provider of the URL
+        const provider = getVideoProvider(url);
+        
+        if (provider && provider.openDownload) {
+            return provider.openDownload(url);
         }
+        
+        // Open in a new tab, a null window means a popup blocker stopped it
+        return Boolean(window.open(url, '_blank'));
     }
 }
 
-/**
- * Helper function to extract video ID from Google Drive URL
- * @param {string} url - Google Drive URL
- * @returns {string|null} Video ID or null if not found
- */
-function extractGoogleDriveId(url) {
-    if (!url) return null;
-    
-    // Try to match the file ID pattern in Google Drive URLs
-    const fileIdMatch = url.match(/\/file\/d\/([^\/]+)/);
-    if (fileIdMatch && fileIdMatch[1]) {
-        return fileIdMatch[1];
-    }
-    
-    // Try to match the ID parameter
-    const idParamMatch = url.match(/[?&]id=([^&]+)/);
-    if (idParamMatch && idParamMatch[1]) {
-        return idParamMatch[1];
-    }
-    
-    return null;
-}
-
 /**
  * Show a toast notification
  * @param {string} message - The message to display
@@ -464,12 +2132,9 @@ function showToast(message, type = 'info', duration = 3000) {
         document.body.appendChild(toastContainer);
     }
     
-    // Create the toast element
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.innerHTML = `
-        <div class="toast-message">${message}</div>
-    `;
+    // Create the toast element, the message is always shown as text
+    const toast = createSafeElement('div', `toast ${type}`);
+    toast.appendChild(createSafeElement('div', 'toast-message', message));
     
     // Add the toast to the container
     toastContainer.appendChild(toast);
@@ -0,0 +1,141 @@
+/**
+ * Anime Zone - Search Index JavaScript
+ *
+ * This file provides the compact catalog from /api/search-index shared by
+ * main.js and search.js. The index is kept in IndexedDB with its ETag, so
+ * pages can use it at once and only ask the server whether it changed.
+ */
+
+// IndexedDB database and object store holding the search index
+const SEARCH_INDEX_DB_NAME = 'animeZone';
+const SEARCH_INDEX_DB_VERSION = 1;
+const SEARCH_INDEX_STORE = 'searchIndex';
+
+// Key of the index in the object store
+const SEARCH_INDEX_KEY = 'current';
+
+// Event fired on the document when a newer index replaces the cached one
+const SEARCH_INDEX_CHANGE_EVENT = 'search-index:change';
+
+// Load shared by every script of the page
+let searchIndexRequest = null;
+
+/**
+ * Open the IndexedDB database of the search index
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openSearchIndexDb() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        
+        const request = indexedDB.open(SEARCH_INDEX_DB_NAME, SEARCH_INDEX_DB_VERSION);
+        
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(SEARCH_INDEX_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read the cached search index
+ * @returns {Promise<Object|null>} The cached ETag and anime list, or null if nothing is cached
+ */
+function readCachedSearchIndex() {
+    return openSearchIndexDb()
+        .then(db => new Promise((resolve, reject) => {
+            const request = db.transaction(SEARCH_INDEX_STORE, 'readonly')
+                .objectStore(SEARCH_INDEX_STORE)
+                .get(SEARCH_INDEX_KEY);
+            
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        }))
+        .catch(error => {
+            console.warn('Could not read the cached search index:', error);
+            return null;
+        });
+}
+
+/**
+ * Save the search index in IndexedDB
+ * @param {Object} entry - The ETag and anime list
+ * @returns {Promise} Resolved once saved, even if saving failed
+ */
+function writeCachedSearchIndex(entry) {
+    return openSearchIndexDb()
+        .then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(SEARCH_INDEX_STORE, 'readwrite');
+            transaction.objectStore(SEARCH_INDEX_STORE).put(entry, SEARCH_INDEX_KEY);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        }))
+        .catch(error => {
+            console.warn('Could not cache the search index:', error);
+        });
+}
+
+/**
+ * Fetch the search index, or confirm that the cached one is still current
+ * @param {Object|null} cached - The cached ETag and anime list
+ * @returns {Promise<Object>} The cached entry when unchanged, otherwise the new one
+ */
+function fetchSearchIndex(cached) {
+    const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+    
+    return fetch('/api/search-index', { headers: headers })
+        .then(response => {
+            if (response.status === 304 && cached) {
+                return cached;
+            }
+            
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            
+            return response.json().then(data => {
+                const entry = { etag: response.headers.get('ETag'), anime: data.anime || [] };
+                writeCachedSearchIndex(entry);
+                return entry;
+            });
+        });
+}
+
+/**
+ * Get the anime of the search index. A cached index is returned at once and
+ * revalidated in the background; a newer one is announced with SEARCH_INDEX_CHANGE_EVENT.
+ * @returns {Promise<Array>} The anime list with titles, genres and episode numbers
+ */
+function loadSearchIndex() {
+    if (searchIndexRequest) return searchIndexRequest;
+    
+    searchIndexRequest = readCachedSearchIndex().then(cached => {
+        if (!cached) {
+            return fetchSearchIndex(null).then(entry => entry.anime);
+        }
+        
+        fetchSearchIndex(cached)
+            .then(entry => {
+                if (entry === cached) return;
+                
+                searchIndexRequest = Promise.resolve(entry.anime);
+                document.dispatchEvent(new CustomEvent(SEARCH_INDEX_CHANGE_EVENT, { detail: { anime: entry.anime } }));
+            })
+            .catch(error => {
+                console.error('Error refreshing the search index:', error);
+            });
+        
+        return cached.anime;
+    });
+    
+    // Let the next call try again after a failure
+    searchIndexRequest.catch(() => {
+        searchIndexRequest = null;
+    });
+    
+    return searchIndexRequest;
+}
@@ -11,6 +11,16 @@ document.addEventListener('DOMContentLoaded', function() {
     initIntelligentSearch();
 });
 
+// Weight of a match in each searchable field
+const SEARCH_FIELD_WEIGHTS = { title: 1, alt: 0.9, episode: 0.8, genre: 0.5 };
+
+// Maximum number of suggestions shown under the search box
+const MAX_SEARCH_SUGGESTIONS = 8;
+
+// Tokenized catalog, built once when the search index loads
+let animeCache = [];
+let animeCacheRequest = null;
+
 /**
  * Initialize the intelligent search functionality
  */
@@ -25,30 +35,16 @@ function initIntelligentSearch() {
     suggestionsContainer.style.display = 'none';
     searchInput.parentNode.appendChild(suggestionsContainer);
     
-    // Cache for anime titles
-    let animeCache = [];
+    // Load the shared search index for quick searching
+    loadSearchTokens().catch(error => {
+        console.error('Error fetching anime for search:', error);
+    });
     
-    // Fetch all anime titles for quick searching
-    fetch('/api/anime')
-        .then(response => {
-            if (!response.ok) {
-                throw new Error('Network response was not ok');
-            }
-            return response.json();
-        })
-        .then(data => {
-            if (data.anime && Array.isArray(data.anime)) {
-                animeCache = data.anime.map(anime => ({
-                    id: anime.id,
-                    title: anime.title,
-                    image: anime.image_url || '',
-                    seasons: anime.seasons || []
-                }));
-            }
-        })
-        .catch(error => {
-            console.error('Error fetching anime for search:', error);
-        });
+    // Rebuild the tokens when a newer index arrives
+    document.addEventListener(SEARCH_INDEX_CHANGE_EVENT, function(event) {
+        animeCache = buildTokenIndex(event.detail.anime);
+        animeCacheRequest = Promise.resolve(animeCache);
+    });
     
     // Debounce function for search
     let debounceTimer;
@@ -132,7 +128,7 @@ function initIntelligentSearch() {
                     const episodeNumber = currentSelected.getAttribute('data-episode');
                     
                     if (animeId && seasonNumber && episodeNumber) {
-                        window.location.href = `/video/${animeId}/${seasonNumber}/${episodeNumber}`;
+                        window.location.href = getEpisodeUrl(animeId, seasonNumber, episodeNumber);
                     }
                 }
                 break;
@@ -145,83 +141,334 @@ function initIntelligentSearch() {
 }
 
 /**
- * Search anime based on a query
+ * Normalize text for searching: lower case without accents
+ * @param {string} text - The text to normalize
+ * @returns {string} The normalized text
+ */
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized search tokens
+ * @param {string} text - The text to split
+ * @returns {Array} The tokens
+ */
+function tokenizeSearchText(text) {
+    return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Tokenize every searchable field of the catalog once
+ * @param {Array} animeList - Anime list from the search index
+ * @returns {Array} One entry per anime with its tokenized fields
+ */
+function buildTokenIndex(animeList) {
+    const field = (type, text) => ({ type: type, text: text, tokens: tokenizeSearchText(text) });
+    
+    return animeList.map(anime => {
+        const seasons = anime.seasons || [];
+        const episodes = [];
+        
+        seasons.forEach(season => {
+            (season.episodes || []).forEach(episode => {
+                if (episode.title) {
+                    episodes.push(Object.assign(field('episode', episode.title), {
+                        season: season.number,
+                        episode: episode.number
+                    }));
+                }
+            });
+        });
+        
+        return {
+            anime: {
+                id: anime.id,
+                title: anime.title,
+                image: anime.image_url || '',
+                seasons: seasons
+            },
+            fields: [field('title', anime.title)]
+                .concat((anime.alt_titles || []).map(title => field('alt', title)))
+                .concat((anime.genres || []).map(genre => field('genre', genre))),
+            episodes: episodes
+        };
+    });
+}
+
+/**
+ * Score how well a query token matches a field token
+ * @param {string} queryToken - Token of the search query
+ * @param {string} token - Token of the searched field
+ * @returns {Object|null} The score and the text to highlight, or null if they do not match
+ */
+function scoreSearchToken(queryToken, token) {
+    if (token === queryToken) return { score: 1, highlight: token };
+    if (token.startsWith(queryToken)) return { score: 0.9, highlight: queryToken };
+    
+    // Short latin tokens match too many words, but a single kanji is meaningful
+    const minLength = /^[\x00-\x7f]+$/.test(queryToken) ? 3 : 1;
+    
+    if (queryToken.length >= minLength && token.includes(queryToken)) return { score: 0.7, highlight: queryToken };
+    
+    // Allow typos in longer tokens only
+    if (queryToken.length < 4) return null;
+    
+    const maxDistance = queryToken.length >= 8 ? 2 : 1;
+    
+    if (Math.abs(token.length - queryToken.length) > maxDistance) return null;
+    
+    const distance = calculateEditDistance(queryToken, token, maxDistance);
+    
+    return distance <= maxDistance ? { score: 0.6 - 0.1 * distance, highlight: token } : null;
+}
+
+/**
+ * Score a field against every token of the query
+ * @param {Array} queryTokens - Tokens of the search query
+ * @param {Object} field - Index field with its tokens
+ * @param {Array} tokenScores - One Map per query token caching the score of each field token
+ * @returns {Object|null} The score and the texts to highlight, or null unless every query token matches
+ */
+function scoreSearchField(queryTokens, field, tokenScores) {
+    let total = 0;
+    const highlights = [];
+    
+    for (let q = 0; q < queryTokens.length; q++) {
+        let best = null;
+        
+        for (const token of field.tokens) {
+            // The same words appear in many titles, score each of them once per search
+            if (!tokenScores[q].has(token)) {
+                tokenScores[q].set(token, scoreSearchToken(queryTokens[q], token));
+            }
+            
+            const match = tokenScores[q].get(token);
+            
+            if (match && (!best || match.score > best.score)) {
+                best = match;
+                
+                if (best.score === 1) break;
+            }
+        }
+        
+        if (!best) return null;
+        
+        total += best.score;
+        highlights.push(best.highlight);
+    }
+    
+    return { score: total / queryTokens.length * SEARCH_FIELD_WEIGHTS[field.type], highlights: highlights };
+}
+
+/**
+ * Search anime and episodes based on a query
  * @param {string} query - The search query
- * @param {Array} animeCache - The cached anime data
- * @returns {Array} Matched anime suggestions
+ * @param {Array} animeCache - The tokenized catalog from buildTokenIndex
+ * @returns {Array} Matched anime and episode suggestions, best first
  */
 function searchAnime(query, animeCache) {
     if (!query || query.length < 2 || !animeCache || !Array.isArray(animeCache)) {
         return [];
     }
     
-    query = query.toLowerCase();
+    const queryTokens = tokenizeSearchText(query);
+    
+    if (queryTokens.length === 0) return [];
+    
+    const results = [];
+    const tokenScores = queryTokens.map(() => new Map());
     
-    // Find matches using fuzzy search
-    const matches = animeCache.filter(anime => {
-        // Check for exact match
-        if (anime.title.toLowerCase().includes(query)) {
-            return true;
+    // Every field is scored once, then the results are sorted by that score
+    animeCache.forEach(entry => {
+        let best = null;
+        
+        entry.fields.forEach(field => {
+            const match = scoreSearchField(queryTokens, field, tokenScores);
+            
+            if (match && (!best || match.score > best.score)) {
+                best = { type: 'anime', anime: entry.anime, field: field, score: match.score, highlights: match.highlights };
+            }
+        });
+        
+        if (best) {
+            results.push(best);
         }
         
-        // Check for approximate match (fuzzy)
-        return calculateLevenshteinDistance(query, anime.title.toLowerCase()) <= Math.max(2, Math.floor(query.length / 3));
+        entry.episodes.forEach(episode => {
+            const match = scoreSearchField(queryTokens, episode, tokenScores);
+            
+            if (match) {
+                results.push({ type: 'episode', anime: entry.anime, field: episode, score: match.score, highlights: match.highlights });
+            }
+        });
     });
     
-    // Sort matches by relevance
-    return matches.sort((a, b) => {
-        // Exact matches first
-        const aExact = a.title.toLowerCase().includes(query);
-        const bExact = b.title.toLowerCase().includes(query);
-        
-        if (aExact && !bExact) return -1;
-        if (!aExact && bExact) return 1;
+    return results.sort((a, b) => {
+        if (a.score !== b.score) return b.score - a.score;
         
-        // Then by Levenshtein distance
-        const aDistance = calculateLevenshteinDistance(query, a.title.toLowerCase());
-        const bDistance = calculateLevenshteinDistance(query, b.title.toLowerCase());
-        
-        if (aDistance !== bDistance) {
-            return aDistance - bDistance;
-        }
+        // Anime before their episodes, then shorter texts first
+        if (a.type !== b.type) return a.type === 'anime' ? -1 : 1;
         
-        // Then by title length (shorter titles first)
-        return a.title.length - b.title.length;
-    }).slice(0, 5); // Limit to 5 suggestions
+        return a.field.text.length - b.field.text.length;
+    }).slice(0, MAX_SEARCH_SUGGESTIONS);
 }
 
 /**
- * Calculate the Levenshtein distance between two strings
- * @param {string} a - First string
- * @param {string} b - Second string
- * @returns {number} The Levenshtein distance
+ * Load the search index and tokenize it once for every search of the page
+ * @returns {Promise<Array>} The tokenized catalog from buildTokenIndex
  */
-function calculateLevenshteinDistance(a, b) {
-    // Create a matrix
-    const matrix = Array(b.length + 1).fill().map(() => Array(a.length + 1).fill(0));
+function loadSearchTokens() {
+    if (animeCacheRequest) return animeCacheRequest;
     
-    // Initialize the matrix
-    for (let i = 0; i <= a.length; i++) {
-        matrix[0][i] = i;
-    }
+    animeCacheRequest = loadSearchIndex().then(anime => {
+        animeCache = buildTokenIndex(anime);
+        return animeCache;
+    });
     
-    for (let j = 0; j <= b.length; j++) {
-        matrix[j][0] = j;
-    }
+    // Let the next call try again after a failure
+    animeCacheRequest.catch(() => {
+        animeCacheRequest = null;
+    });
+    
+    return animeCacheRequest;
+}
+
+/**
+ * Suggest a spelling correction for a search. Each query word that is not
+ * part of any title, alternative title or genre is replaced by the closest word that is.
+ * @param {string} query - The search query
+ * @returns {Promise<string|null>} The corrected query, or null if nothing needs correcting
+ */
+function suggestSearchCorrection(query) {
+    return loadSearchTokens()
+        .then(entries => {
+            const vocabulary = new Set();
+            
+            entries.forEach(entry => {
+                entry.fields.forEach(field => field.tokens.forEach(token => vocabulary.add(token)));
+            });
+            
+            const words = Array.from(vocabulary);
+            let corrected = false;
+            
+            const tokens = tokenizeSearchText(query).map(token => {
+                // Known words and the start of known words are not typos
+                if (token.length < 3 || words.some(word => word.includes(token))) return token;
+                
+                const maxDistance = token.length <= 4 ? 1 : token.length <= 8 ? 2 : 3;
+                let best = null;
+                let bestDistance = maxDistance + 1;
+                
+                words.forEach(word => {
+                    if (Math.abs(word.length - token.length) >= bestDistance) return;
+                    
+                    const distance = calculateEditDistance(token, word, bestDistance - 1);
+                    
+                    if (distance < bestDistance) {
+                        best = word;
+                        bestDistance = distance;
+                    }
+                });
+                
+                if (!best) return token;
+                
+                corrected = true;
+                return best;
+            });
+            
+            return corrected ? tokens.join(' ') : null;
+        })
+        .catch(error => {
+            console.error('Error suggesting a search correction:', error);
+            return null;
+        });
+}
+
+/**
+ * Calculate the edit distance between two strings: the Levenshtein distance,
+ * where swapping two neighbouring characters also counts as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop early once the distance exceeds this (optional)
+ * @returns {number} The edit distance, or maxDistance + 1 when it is exceeded
+ */
+function calculateEditDistance(a, b, maxDistance = Infinity) {
+    // Only the last two rows of the matrix are needed
+    let beforePrevious = null;
+    let previous = Array.from({ length: a.length + 1 }, (_, i) => i);
+    let previousMin = 0;
     
-    // Fill the matrix
     for (let j = 1; j <= b.length; j++) {
+        const current = [j];
+        let rowMin = j;
+        
         for (let i = 1; i <= a.length; i++) {
             const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-            matrix[j][i] = Math.min(
-                matrix[j][i - 1] + 1, // deletion
-                matrix[j - 1][i] + 1, // insertion
-                matrix[j - 1][i - 1] + cost // substitution
+            current[i] = Math.min(
+                current[i - 1] + 1, // deletion
+                previous[i] + 1, // insertion
+                previous[i - 1] + cost // substitution
             );
+            
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[i] = Math.min(current[i], beforePrevious[i - 2] + 1); // transposition
+            }
+            
+            rowMin = Math.min(rowMin, current[i]);
         }
+        
+        // The next rows build on this row, or on the previous one through a transposition
+        if (Math.min(rowMin, previousMin + 1) > maxDistance) return maxDistance + 1;
+        
+        beforePrevious = previous;
+        previous = current;
+        previousMin = rowMin;
     }
     
-    return matrix[b.length][a.length];
+    return previous[a.length];
+}
+
+/**
+ * Build text with the matched parts wrapped in <mark>
+ * @param {string} text - The text to display
+ * @param {Array} highlights - Parts of the text to highlight
+ * @returns {DocumentFragment} The highlighted text
+ */
+function highlightSearchMatches(text, highlights) {
+    const fragment = document.createDocumentFragment();
+    const parts = highlights
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    
+    if (parts.length === 0) {
+        fragment.appendChild(document.createTextNode(text));
+        return fragment;
+    }
+    
+    const pattern = new RegExp(parts.join('|'), 'giu');
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = match[0];
+        fragment.appendChild(mark);
+        
+        lastIndex = match.index + match[0].length;
+    }
+    
+    fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    return fragment;
 }
 
 /**
@@ -241,33 +488,63 @@ function displaySuggestions(suggestions, container) {
     }
     
     // Add each suggestion
-    suggestions.forEach(anime => {
-        // Get the first season and episode for navigation
-        const firstSeason = anime.seasons && anime.seasons.length > 0 ? anime.seasons[0] : null;
-        const firstEpisode = firstSeason && firstSeason.episodes && firstSeason.episodes.length > 0 ? 
-            firstSeason.episodes[0] : null;
-            
-        if (firstSeason && firstEpisode) {
-            const suggestionItem = document.createElement('div');
-            suggestionItem.className = 'suggestion-item';
-            suggestionItem.setAttribute('data-id', anime.id);
-            suggestionItem.setAttribute('data-season', firstSeason.number);
-            suggestionItem.setAttribute('data-episode', firstEpisode.number);
-            
-            suggestionItem.innerHTML = `
-                <div class="suggestion-image" style="background-image: url('${anime.image || ''}')"></div>
-                <div class="suggestion-details">
-                    <div class="suggestion-title">${anime.title}</div>
-                </div>
-            `;
-            
-            // Add click event
-            suggestionItem.addEventListener('click', function() {
-                window.location.href = `/video/${anime.id}/${firstSeason.number}/${firstEpisode.number}`;
-            });
+    suggestions.forEach(suggestion => {
+        const anime = suggestion.anime;
+        
+        // Episode hits open that episode, anime hits resume at the next unwatched one
+        const target = suggestion.type === 'episode' ?
+            { season: suggestion.field.season, episode: suggestion.field.episode } :
+            getResumeEpisode(anime);
+        
+        if (!target) return;
+        
+        const suggestionItem = document.createElement('div');
+        suggestionItem.className = `suggestion-item suggestion-${suggestion.type}`;
+        suggestionItem.setAttribute('data-id', anime.id);
+        suggestionItem.setAttribute('data-season', target.season);
+        suggestionItem.setAttribute('data-episode', target.episode);
+        
+        const image = createSafeElement('div', 'suggestion-image');
+        setBackgroundImage(image, anime.image, '');
+        
+        const details = document.createElement('div');
+        details.className = 'suggestion-details';
+        
+        const title = document.createElement('div');
+        title.className = 'suggestion-title';
+        
+        if (suggestion.field.type === 'title') {
+            title.appendChild(highlightSearchMatches(anime.title, suggestion.highlights));
+        } else {
+            title.textContent = anime.title;
+        }
+        
+        details.appendChild(title);
+        
+        // Say why the anime matched when it was not its title
+        if (suggestion.field.type !== 'title') {
+            const matchLabels = {
+                alt: 'Also known as ',
+                genre: 'Genre: ',
+                episode: `Season ${target.season} · EP ${target.episode}: `
+            };
             
-            container.appendChild(suggestionItem);
+            const info = document.createElement('div');
+            info.className = 'suggestion-info';
+            info.appendChild(document.createTextNode(matchLabels[suggestion.field.type]));
+            info.appendChild(highlightSearchMatches(suggestion.field.text, suggestion.highlights));
+            details.appendChild(info);
         }
+        
+        suggestionItem.appendChild(image);
+        suggestionItem.appendChild(details);
+        
+        // Add click event
+        suggestionItem.addEventListener('click', function() {
+            window.location.href = getEpisodeUrl(anime.id, target.season, target.episode);
+        });
+        
+        container.appendChild(suggestionItem);
     });
     
     // Display the suggestions container
@@ -322,6 +599,18 @@ function displaySuggestions(suggestions, container) {
             .suggestion-title {
                 font-weight: 600;
             }
+            
+            .suggestion-info {
+                font-size: 0.8rem;
+                color: var(--text-secondary);
+                margin-top: 0.2rem;
+            }
+            
+            .search-highlight {
+                background: none;
+                color: var(--accent-color);
+                font-weight: 700;
+            }
         `;
         document.head.appendChild(style);
     }
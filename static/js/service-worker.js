@@ -0,0 +1,190 @@
+/**
+ * Anime Zone - Service Worker
+ *
+ * This file keeps the site usable without a network. The app shell (pages,
+ * styles, scripts and icons) is cached on install, pages are fetched network
+ * first, and the API is served stale-while-revalidate. Videos are never
+ * cached. Offline, each API request gets the last answer to the same URL.
+ */
+
+// Change to drop every cache of the previous version on activation
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `animeZone-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `animeZone-data-${CACHE_VERSION}`;
+
+// Pages, styles and scripts cached on install
+const APP_SHELL_URLS = [
+    '/',
+    '/search',
+    '/static/css/style.css',
+    '/static/css/anime-details.css',
+    '/static/css/video-player.css',
+    '/static/js/dom.js',
+    '/static/js/watchlist.js',
+    '/static/js/history.js',
+    '/static/js/shortcuts.js',
+    '/static/js/search-index.js',
+    '/static/js/main.js',
+    '/static/js/anime-details.js',
+    '/static/js/player.js',
+    '/static/js/search.js',
+    '/static/manifest.json',
+    '/static/icons/icon.svg'
+];
+
+// Other static files cached with the shell. Videos, HLS playlists and their
+// segments are left to the network: they are large, fetched in ranges, and
+// playlists change.
+const SHELL_ASSET_EXTENSIONS = ['.css', '.js', '.svg', '.png', '.ico'];
+
+// Full catalog, cached on install so the home page works offline at once
+const CATALOG_URL = '/api/anime';
+
+// Paths left to the network: the admin must always see the saved catalog,
+// and the search index has its own IndexedDB cache
+const UNCACHED_PATH_PREFIXES = ['/admin', '/api/admin/', '/api/search-index'];
+
+// Other origins serving the fonts and icons of the shell
+const SHELL_ORIGINS = [
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com',
+    'https://cdnjs.cloudflare.com'
+];
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL_URLS)),
+            caches.open(DATA_CACHE).then(cache => cache.add(CATALOG_URL))
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('animeZone-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (url.origin === self.location.origin) {
+        if (UNCACHED_PATH_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) return;
+        
+        if (request.mode === 'navigate') {
+            event.respondWith(handlePageRequest(request));
+        } else if (isShellAsset(url)) {
+            event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+        } else if (url.pathname.startsWith('/api/')) {
+            event.respondWith(staleWhileRevalidate(request, DATA_CACHE));
+        }
+    } else if (SHELL_ORIGINS.includes(url.origin)) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Check whether a same-origin URL is a file of the app shell
+ * @param {URL} url - The request URL
+ * @returns {boolean} True for the shell files and its styles, scripts and icons
+ */
+function isShellAsset(url) {
+    return APP_SHELL_URLS.includes(url.pathname) ||
+        (url.pathname.startsWith('/static/') && SHELL_ASSET_EXTENSIONS.some(extension => url.pathname.endsWith(extension)));
+}
+
+/**
+ * Check whether a response can be kept in the cache. Partial (206) responses
+ * cannot be, Cache.put rejects them.
+ * @param {Response} response - The network response
+ * @returns {boolean} True for complete successful responses
+ */
+function isCacheable(response) {
+    return response.status === 200;
+}
+
+/**
+ * Store a response without letting a failed write reject the request
+ * @param {Cache} cache - The cache
+ * @param {Request} request - The request
+ * @param {Response} response - A copy of the response
+ */
+function putInCache(cache, request, response) {
+    cache.put(request, response).catch(error => console.warn(`Could not cache ${request.url}:`, error));
+}
+
+/**
+ * Fetch a page from the network and keep a copy, or serve the saved copy offline.
+ * Pages render their data with JavaScript, so the query string is ignored offline.
+ * @param {Request} request - The navigation request
+ * @returns {Promise<Response>} The page, the saved copy, or the saved home page
+ */
+function handlePageRequest(request) {
+    return fetch(request)
+        .then(response => {
+            if (isCacheable(response)) {
+                const copy = response.clone();
+                caches.open(SHELL_CACHE).then(cache => putInCache(cache, request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })
+            .then(cached => cached || caches.match('/')));
+}
+
+/**
+ * Answer from the cache at once and refresh the cache from the network,
+ * or wait for the network when nothing is cached yet
+ * @param {Request} request - The request
+ * @param {string} cacheName - The cache holding the responses
+ * @returns {Promise<Response>} The cached or network response
+ */
+function staleWhileRevalidate(request, cacheName) {
+    return caches.open(cacheName).then(cache => cache.match(request).then(cached => {
+        const network = fetch(request).then(response => {
+            if (isCacheable(response)) {
+                putInCache(cache, request, response.clone());
+            }
+            return response;
+        });
+        
+        if (cached) {
+            // The page already has its answer, a failed refresh is only logged
+            network.catch(error => console.warn(`Could not refresh ${request.url}:`, error));
+            return cached;
+        }
+        
+        return network;
+    }));
+}
+
+/**
+ * Answer from the cache, or fetch and cache the response
+ * @param {Request} request - The request
+ * @param {string} cacheName - The cache holding the responses
+ * @returns {Promise<Response>} The cached or network response
+ */
+function cacheFirst(request, cacheName) {
+    return caches.open(cacheName).then(cache => cache.match(request).then(cached => {
+        if (cached) return cached;
+        
+        return fetch(request).then(response => {
+            // Styles and fonts of other origins are opaque, so their status is unknown
+            if (isCacheable(response) || response.type === 'opaque') {
+                putInCache(cache, request, response.clone());
+            }
+            return response;
+        });
+    }));
+}
@@ -0,0 +1,285 @@
+/**
+ * Anime Zone - Keyboard Shortcuts JavaScript
+ *
+ * This file provides the keyboard shortcut registry shared by every page.
+ * Page scripts register their actions here, each key triggers at most one
+ * action, and users can remap keys from the help overlay opened with "?".
+ */
+
+// localStorage key of the user's remapped keys
+const SHORTCUTS_STORAGE_KEY = 'animeZone.shortcuts';
+
+// Default keys of the actions of every page. Remapped keys are saved for all
+// pages, so a new key is checked against these too, not only against the
+// actions registered on the current page
+const SHORTCUT_DEFAULT_KEYS = {
+    'help': '?',
+    'search': '/',
+    'next-episode': 'n',
+    'previous-episode': 'p',
+    'fullscreen': 'f',
+    'download': 'd',
+    'season-download': 's',
+    'watchlist': 'w',
+    'play-pause': 'k',
+    'mute': 'm',
+    'subtitles': 'c'
+};
+
+// Registered actions, in registration order
+const shortcutRegistry = [];
+
+// Action waiting for a new key from the help overlay
+let shortcutBeingRemapped = null;
+
+// Wait until the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', function() {
+    // Initialize the shortcut listener and help overlay
+    initShortcuts();
+});
+
+/**
+ * Initialize the keyboard listener and the help shortcut
+ */
+function initShortcuts() {
+    registerShortcut('help', '?', 'Show keyboard shortcuts', openShortcutHelp);
+    
+    document.addEventListener('keydown', handleShortcutKeydown);
+}
+
+/**
+ * Normalize a key from a keyboard event
+ * @param {string} key - The KeyboardEvent key value
+ * @returns {string} The key as stored in the registry
+ */
+function normalizeShortcutKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Read the user's remapped keys
+ * @returns {Object} Keys keyed by action ID
+ */
+function loadShortcutOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error('Error reading keyboard shortcuts:', e);
+        return {};
+    }
+}
+
+/**
+ * Register a keyboard shortcut
+ * @param {string} action - Unique action ID
+ * @param {string} defaultKey - Key used unless the user remapped it
+ * @param {string} description - Label shown in the help overlay
+ * @param {Function} handler - Called when the key is pressed
+ */
+function registerShortcut(action, defaultKey, description, handler) {
+    if (shortcutRegistry.some(shortcut => shortcut.action === action)) {
+        console.warn(`Shortcut "${action}" is already registered`);
+        return;
+    }
+    
+    const key = normalizeShortcutKey(defaultKey);
+    
+    if (shortcutRegistry.some(shortcut => shortcut.defaultKey === key)) {
+        console.warn(`Shortcut "${action}" conflicts with an existing shortcut on "${defaultKey}"`);
+        return;
+    }
+    
+    shortcutRegistry.push({ action: action, defaultKey: key, description: description, handler: handler });
+}
+
+/**
+ * Get the key currently bound to an action, registered on this page or not
+ * @param {string} action - The action ID
+ * @returns {string|null} The bound key
+ */
+function getShortcutKey(action) {
+    const shortcut = shortcutRegistry.find(s => s.action === action);
+    const defaultKey = shortcut ? shortcut.defaultKey : SHORTCUT_DEFAULT_KEYS[action];
+    
+    if (!defaultKey) return null;
+    
+    return loadShortcutOverrides()[action] || defaultKey;
+}
+
+/**
+ * List the actions of every page and of this page
+ * @returns {Array} The action IDs
+ */
+function getAllShortcutActions() {
+    const actions = Object.keys(SHORTCUT_DEFAULT_KEYS);
+    
+    shortcutRegistry.forEach(shortcut => {
+        if (!actions.includes(shortcut.action)) {
+            actions.push(shortcut.action);
+        }
+    });
+    
+    return actions;
+}
+
+/**
+ * Bind a new key to an action
+ * @param {string} action - The action ID
+ * @param {string} key - The new key
+ * @returns {boolean} False if the key is already bound to another action
+ */
+function setShortcutKey(action, key) {
+    key = normalizeShortcutKey(key);
+    
+    const conflict = getAllShortcutActions().find(other => other !== action && getShortcutKey(other) === key);
+    
+    if (conflict) return false;
+    
+    const overrides = loadShortcutOverrides();
+    const shortcut = shortcutRegistry.find(s => s.action === action);
+    
+    if (shortcut && shortcut.defaultKey === key) {
+        delete overrides[action];
+    } else {
+        overrides[action] = key;
+    }
+    
+    localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(overrides));
+    return true;
+}
+
+/**
+ * Restore the default key of every action
+ */
+function resetShortcuts() {
+    localStorage.removeItem(SHORTCUTS_STORAGE_KEY);
+}
+
+/**
+ * Check whether the user is typing in a form field
+ * @param {HTMLElement} element - The event target
+ * @returns {boolean} True if keys should go to the field
+ */
+function isTypingTarget(element) {
+    if (!element || !element.tagName) return false;
+    
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable;
+}
+
+/**
+ * Run the action bound to the pressed key
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleShortcutKeydown(event) {
+    // Capture the new key while remapping from the help overlay
+    if (shortcutBeingRemapped && document.querySelector('#shortcutHelpModal.show')) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        
+        if (event.key !== 'Escape' && event.key.length === 1) {
+            if (setShortcutKey(shortcutBeingRemapped, event.key)) {
+                showToast('Shortcut updated', 'success');
+            } else {
+                showToast(`"${event.key}" is already used by another shortcut`, 'error');
+            }
+        }
+        
+        shortcutBeingRemapped = null;
+        renderShortcutHelp();
+        return;
+    }
+    
+    shortcutBeingRemapped = null;
+    
+    if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) return;
+    
+    const key = normalizeShortcutKey(event.key);
+    const shortcut = shortcutRegistry.find(s => getShortcutKey(s.action) === key);
+    
+    if (shortcut) {
+        event.preventDefault();
+        shortcut.handler(event);
+    }
+}
+
+/**
+ * Open the help overlay listing every shortcut
+ */
+function openShortcutHelp() {
+    let modal = document.getElementById('shortcutHelpModal');
+    
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'shortcutHelpModal';
+        modal.className = 'modal shortcut-help-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3 class="modal-title">Keyboard Shortcuts</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <ul class="shortcut-list"></ul>
+                </div>
+                <div class="modal-footer">
+                    <button class="shortcut-reset-btn">Reset to defaults</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        modal.querySelector('.modal-close').addEventListener('click', function() {
+            shortcutBeingRemapped = null;
+            closeModal(modal);
+        });
+        
+        modal.querySelector('.shortcut-reset-btn').addEventListener('click', function() {
+            resetShortcuts();
+            renderShortcutHelp();
+            showToast('Shortcuts restored to defaults', 'success');
+        });
+    }
+    
+    renderShortcutHelp();
+    openModal(modal);
+}
+
+/**
+ * Render the shortcut list of the help overlay
+ */
+function renderShortcutHelp() {
+    const list = document.querySelector('#shortcutHelpModal .shortcut-list');
+    
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    shortcutRegistry.forEach(shortcut => {
+        const item = document.createElement('li');
+        item.className = 'shortcut-item';
+        
+        const description = document.createElement('span');
+        description.className = 'shortcut-description';
+        description.textContent = shortcut.description;
+        
+        const key = document.createElement('kbd');
+        key.className = 'shortcut-key';
+        key.textContent = shortcutBeingRemapped === shortcut.action ?
+            'Press a key…' :
+            getShortcutKey(shortcut.action).toUpperCase();
+        
+        const changeBtn = document.createElement('button');
+        changeBtn.className = 'shortcut-change-btn';
+        changeBtn.textContent = 'Change';
+        changeBtn.addEventListener('click', function() {
+            shortcutBeingRemapped = shortcut.action;
+            renderShortcutHelp();
+        });
+        
+        item.appendChild(description);
+        item.appendChild(key);
+        item.appendChild(changeBtn);
+        list.appendChild(item);
+    });
+}
@@ -0,0 +1,171 @@
+/**
+ * Anime Zone - Watchlist JavaScript
+ *
+ * This file provides the watchlist store shared by the index and video pages.
+ * Entries are saved in localStorage with their own copy of the title and image,
+ * so they survive changes to the /api/anime catalog.
+ */
+
+// localStorage key and current schema version of the watchlist
+const WATCHLIST_STORAGE_KEY = 'animeZone.watchlist';
+const WATCHLIST_SCHEMA_VERSION = 1;
+
+// Event fired on the document whenever the watchlist changes
+const WATCHLIST_CHANGE_EVENT = 'watchlist:change';
+
+// Keep other tabs in sync with this one
+window.addEventListener('storage', function(event) {
+    if (event.key === WATCHLIST_STORAGE_KEY) {
+        document.dispatchEvent(new CustomEvent(WATCHLIST_CHANGE_EVENT));
+    }
+});
+
+/**
+ * Read the watchlist from localStorage, upgrading older schemas
+ * @returns {Array} The watchlist entries
+ */
+function loadWatchlist() {
+    let stored = null;
+
+    try {
+        stored = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY));
+    } catch (e) {
+        console.error('Error reading watchlist:', e);
+        return [];
+    }
+
+    return migrateWatchlist(stored);
+}
+
+/**
+ * Upgrade stored watchlist data to the current schema
+ * @param {*} stored - The parsed localStorage value
+ * @returns {Array} The watchlist entries in the current schema
+ */
+function migrateWatchlist(stored) {
+    if (!stored) return [];
+
+    // Unversioned data was a plain array of anime ids
+    if (Array.isArray(stored)) {
+        stored = {
+            version: 1,
+            items: stored.map(id => ({ id: String(id), title: '', image: '', addedAt: new Date().toISOString() }))
+        };
+    }
+
+    if (stored.version !== WATCHLIST_SCHEMA_VERSION || !Array.isArray(stored.items)) {
+        console.warn(`Ignoring watchlist with unknown schema version ${stored.version}`);
+        return [];
+    }
+
+    return stored.items.filter(item => item && item.id);
+}
+
+/**
+ * Write the watchlist to localStorage and notify listeners
+ * @param {Array} items - The watchlist entries
+ */
+function saveWatchlist(items) {
+    try {
+        localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify({
+            version: WATCHLIST_SCHEMA_VERSION,
+            items: items
+        }));
+    } catch (e) {
+        console.error('Error saving watchlist:', e);
+        showToast('Could not save your watchlist', 'error');
+        return;
+    }
+
+    document.dispatchEvent(new CustomEvent(WATCHLIST_CHANGE_EVENT));
+}
+
+/**
+ * Get the watchlist entries, most recently added first
+ * @returns {Array} The watchlist entries
+ */
+function getWatchlist() {
+    return loadWatchlist().sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+}
+
+/**
+ * Check whether an anime is in the watchlist
+ * @param {string|number} animeId - The anime ID
+ * @returns {boolean} True if the anime is in the watchlist
+ */
+function isInWatchlist(animeId) {
+    return loadWatchlist().some(item => item.id === String(animeId));
+}
+
+/**
+ * Add an anime to the watchlist
+ * @param {Object} anime - Anime data object (id, title, image_url)
+ */
+function addToWatchlist(anime) {
+    const items = loadWatchlist();
+
+    if (items.some(item => item.id === String(anime.id))) return;
+
+    items.push({
+        id: String(anime.id),
+        title: anime.title || '',
+        image: anime.image_url || '',
+        addedAt: new Date().toISOString()
+    });
+
+    saveWatchlist(items);
+}
+
+/**
+ * Remove an anime from the watchlist
+ * @param {string|number} animeId - The anime ID
+ */
+function removeFromWatchlist(animeId) {
+    saveWatchlist(loadWatchlist().filter(item => item.id !== String(animeId)));
+}
+
+/**
+ * Add or remove an anime from the watchlist
+ * @param {Object} anime - Anime data object (id, title, image_url)
+ * @returns {boolean} True if the anime is now in the watchlist
+ */
+function toggleWatchlist(anime) {
+    if (isInWatchlist(anime.id)) {
+        removeFromWatchlist(anime.id);
+        return false;
+    }
+
+    addToWatchlist(anime);
+    return true;
+}
+
+/**
+ * Refresh the stored title and image of entries still in the catalog.
+ * Entries whose anime has disappeared are kept as they are.
+ * @param {Array} catalog - Anime list from /api/anime
+ */
+function syncWatchlistWithCatalog(catalog) {
+    if (!Array.isArray(catalog)) return;
+
+    const items = loadWatchlist();
+    let changed = false;
+
+    items.forEach(item => {
+        const anime = catalog.find(a => String(a.id) === item.id);
+
+        if (anime) {
+            const title = anime.title || item.title;
+            const image = anime.image_url || item.image;
+
+            if (title !== item.title || image !== item.image) {
+                item.title = title;
+                item.image = image;
+                changed = true;
+            }
+        }
+    });
+
+    if (changed) {
+        saveWatchlist(items);
+    }
+}
@@ -0,0 +1,72 @@
+import os
+import json
+import tempfile
+import threading
+from contextlib import contextmanager
+
+try:
+    import fcntl
+except ImportError:
+    # Without fcntl (Windows) only the threads of this process are serialised
+    fcntl = None
+
+# Serialises writers inside this process, the file lock covers other processes
+_thread_lock = threading.Lock()
+
+@contextmanager
+def data_lock(path):
+    """
+    Hold an exclusive lock for a read-modify-write cycle on a data file.
+    
+    Args:
+        path (str): The data file to protect, locked through "<path>.lock"
+    """
+    with _thread_lock:
+        with open(f"{path}.lock", 'a') as lock_file:
+            if fcntl:
+                fcntl.flock(lock_file, fcntl.LOCK_EX)
+            try:
+                yield
+            finally:
+                if fcntl:
+                    fcntl.flock(lock_file, fcntl.LOCK_UN)
+
+def read_json(path, default):
+    """
+    Read a JSON file.
+    
+    Args:
+        path (str): The file to read
+        default: Value returned when the file does not exist
+    
+    Returns:
+        The parsed JSON content, or the default
+    """
+    try:
+        with open(path, 'r', encoding='utf-8') as file:
+            return json.load(file)
+    except FileNotFoundError:
+        return default
+
+def write_json_atomic(path, data):
+    """
+    Write a JSON file so readers never see it half written: the data goes to a
+    temporary file in the same folder, which then replaces the original.
+    
+    Args:
+        path (str): The file to write
+        data: The JSON-serialisable content
+    """
+    directory = os.path.dirname(os.path.abspath(path))
+    fd, temp_path = tempfile.mkstemp(dir=directory, prefix='.', suffix='.tmp')
+    
+    try:
+        with os.fdopen(fd, 'w', encoding='utf-8') as file:
+            json.dump(data, file, ensure_ascii=False, indent=4)
+            file.flush()
+            os.fsync(file.fileno())
+        os.replace(temp_path, path)
+    except BaseException:
+        if os.path.exists(temp_path):
+            os.remove(temp_path)
+        raise
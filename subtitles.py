@@ -0,0 +1,104 @@
+import os
+import re
+import logging
+from urllib.parse import urlparse
+from urllib.request import urlopen
+from werkzeug.security import safe_join
+from video_providers import is_static_path
+
+logger = logging.getLogger(__name__)
+
+# Limits when fetching subtitle files from other servers
+SUBTITLE_FETCH_TIMEOUT = 10
+MAX_SUBTITLE_BYTES = 2 * 1024 * 1024
+
+class SubtitleNotFoundError(Exception):
+    """A /static subtitle path that does not name a file inside the static folder."""
+
+# SRT timestamps use a comma before the milliseconds, WebVTT uses a dot
+SRT_TIMESTAMP = re.compile(r'(\d{1,2}:\d{2}:\d{2}),(\d{3})')
+
+def srt_to_vtt(srt_text):
+    """
+    Convert SRT subtitles to WebVTT.
+    
+    Args:
+        srt_text (str): The SRT file content
+    
+    Returns:
+        str: The same cues in WebVTT format
+    """
+    text = srt_text.lstrip('\ufeff').replace('\r\n', '\n').replace('\r', '\n')
+    lines = []
+    
+    for line in text.split('\n'):
+        # Only timing lines are changed, cue numbers are valid WebVTT identifiers
+        if '-->' in line:
+            line = SRT_TIMESTAMP.sub(r'\1.\2', line)
+        lines.append(line)
+    
+    return 'WEBVTT\n\n' + '\n'.join(lines).strip() + '\n'
+
+def read_subtitle_file(url, static_folder):
+    """
+    Read a subtitle file from this site's /static folder or an HTTP(S) server.
+    
+    Args:
+        url (str): The subtitle URL from anime_data.json
+        static_folder (str): Path of the Flask static folder
+    
+    Returns:
+        str: The file content, or None if it cannot be read
+    
+    Raises:
+        SubtitleNotFoundError: If a /static path is outside the static folder or missing
+    """
+    try:
+        if is_static_path(url):
+            # safe_join refuses absolute and parent paths, e.g. /static//etc/passwd
+            file_path = safe_join(static_folder, urlparse(url).path[len('/static/'):])
+            
+            if file_path is None or not os.path.isfile(file_path):
+                raise SubtitleNotFoundError(url)
+            
+            with open(file_path, 'rb') as file:
+                content = file.read(MAX_SUBTITLE_BYTES + 1)
+        elif urlparse(url).scheme in ('http', 'https'):
+            with urlopen(url, timeout=SUBTITLE_FETCH_TIMEOUT) as response:
+                content = response.read(MAX_SUBTITLE_BYTES + 1)
+        else:
+            logger.error(f"Unsupported subtitle URL: {url}")
+            return None
+    except (OSError, ValueError) as e:
+        logger.error(f"Error reading subtitles from {url}: {e}")
+        return None
+    
+    if len(content) > MAX_SUBTITLE_BYTES:
+        logger.error(f"Subtitle file is too large: {url}")
+        return None
+    
+    return content.decode('utf-8-sig', errors='replace')
+
+def load_subtitle_as_vtt(url, static_folder):
+    """
+    Load a subtitle track and return it as WebVTT, converting SRT files.
+    
+    Args:
+        url (str): The subtitle URL from anime_data.json
+        static_folder (str): Path of the Flask static folder
+    
+    Returns:
+        str: The WebVTT content, or None if the file cannot be read
+    
+    Raises:
+        SubtitleNotFoundError: If a /static path is outside the static folder or missing
+    """
+    content = read_subtitle_file(url, static_folder)
+    
+    if content is None:
+        return None
+    
+    if content.lstrip().startswith('WEBVTT'):
+        return content
+    
+    return srt_to_vtt(content)
@@ -0,0 +1,98 @@
+/**
+ * Checks of the safe DOM helpers of static/js/dom.js: catalog data with
+ * markup or javascript: URLs must render as text or fall back to safe values.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-script');
+
+// Titles an attacker could put in the catalog
+const HOSTILE_TITLE = '<img src=x onerror="alert(1)"><script>alert(2)</script>';
+const HOSTILE_URLS = ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)'];
+
+/**
+ * Load dom.js in a new page
+ * @returns {Promise<Window>} The window of the page
+ */
+async function loadPage() {
+    return (await loadScripts(['dom.js'])).window;
+}
+
+test('escapeHtml escapes markup and quotes', async () => {
+    const window = await loadPage();
+    
+    assert.strictEqual(
+        window.escapeHtml(`<b title="x">'&'</b>`),
+        '&lt;b title=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/b&gt;'
+    );
+    assert.strictEqual(window.escapeHtml(null), '');
+    assert.strictEqual(window.escapeHtml(undefined), '');
+    assert.strictEqual(window.escapeHtml(42), '42');
+});
+
+test('safeHtml escapes interpolated titles but keeps the template markup', async () => {
+    const window = await loadPage();
+    const container = window.document.createElement('div');
+    
+    container.innerHTML = window.safeHtml`<i class="fas fa-eye"></i> ${HOSTILE_TITLE}`;
+    
+    assert.strictEqual(container.querySelectorAll('i').length, 1);
+    assert.strictEqual(container.querySelector('img, script'), null);
+    assert.strictEqual(container.textContent, ` ${HOSTILE_TITLE}`);
+});
+
+test('createSafeElement renders hostile titles as text', async () => {
+    const window = await loadPage();
+    const title = window.createSafeElement('h3', 'anime-card-title', HOSTILE_TITLE);
+    
+    window.document.body.appendChild(title);
+    
+    assert.strictEqual(title.className, 'anime-card-title');
+    assert.strictEqual(title.textContent, HOSTILE_TITLE);
+    assert.strictEqual(title.children.length, 0);
+    assert.strictEqual(window.document.querySelector('img, script'), null);
+});
+
+test('createSafeElement leaves the text empty when none is given', async () => {
+    const window = await loadPage();
+    
+    assert.strictEqual(window.createSafeElement('div').textContent, '');
+    assert.strictEqual(window.createSafeElement('div', '', null).textContent, '');
+    assert.strictEqual(window.createSafeElement('span', '', 0).textContent, '0');
+});
+
+test('sanitizeUrl rejects javascript: and other unsafe schemes', async () => {
+    const window = await loadPage();
+    
+    HOSTILE_URLS.forEach(url => {
+        assert.strictEqual(window.sanitizeUrl(url), '', url);
+        assert.strictEqual(window.sanitizeUrl(url, '/fallback.png'), '/fallback.png', url);
+    });
+    
+    assert.strictEqual(window.sanitizeUrl(''), '');
+    assert.strictEqual(window.sanitizeUrl(null, 'x'), 'x');
+});
+
+test('sanitizeUrl keeps http(s) and site URLs', async () => {
+    const window = await loadPage();
+    
+    assert.strictEqual(window.sanitizeUrl('https://example.com/a.jpg'), 'https://example.com/a.jpg');
+    assert.strictEqual(window.sanitizeUrl('/static/images/poster.jpg'), 'http://localhost/static/images/poster.jpg');
+});
+
+test('setBackgroundImage falls back to the placeholder for javascript: URLs', async () => {
+    const window = await loadPage();
+    const poster = window.document.createElement('div');
+    
+    window.setBackgroundImage(poster, 'javascript:alert(1)');
+    assert.strictEqual(poster.style.backgroundImage, `url("${window.eval('PLACEHOLDER_IMAGE_URL')}")`);
+});
+
+test('setBackgroundImage keeps quotes in the URL from ending the CSS url()', async () => {
+    const window = await loadPage();
+    const poster = window.document.createElement('div');
+    
+    window.setBackgroundImage(poster, 'https://example.com/a.jpg"); background: red; x("');
+    assert.match(poster.style.backgroundImage, /^url\("https:\/\/example\.com\/a\.jpg%22%29;%20background:%20red;%20x%28%22"\)$/);
+});
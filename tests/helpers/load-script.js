@@ -0,0 +1,58 @@
+/**
+ * Shared page loader of the browser checks: runs classic scripts of static/js
+ * in a jsdom page, like the script tags of the templates.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SCRIPTS_FOLDER = path.join(__dirname, '..', '..', 'static', 'js');
+
+// Compiled scripts by file name, each file is only read once per run
+const compiledScripts = new Map();
+
+/**
+ * Compile a script of static/js once
+ * @param {string} name - File name under static/js
+ * @returns {vm.Script} The compiled script
+ */
+function compileScript(name) {
+    if (!compiledScripts.has(name)) {
+        compiledScripts.set(name, new vm.Script(fs.readFileSync(path.join(SCRIPTS_FOLDER, name), 'utf8'), { filename: name }));
+    }
+    
+    return compiledScripts.get(name);
+}
+
+/**
+ * Load scripts of static/js in a new page and wait for their DOMContentLoaded
+ * listeners, so the page is set up like in a browser
+ * @param {Array} scripts - File names under static/js, in the order of the template
+ * @param {Object} options - The body HTML, and localStorage items set before the scripts run (optional)
+ * @returns {Promise<Object>} The window of the page, and the warnings and errors it logged
+ */
+async function loadScripts(scripts, { body = '', storage = {} } = {}) {
+    const warnings = [];
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    
+    virtualConsole.on('warn', message => warnings.push(message));
+    virtualConsole.on('error', message => errors.push(message));
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+    
+    const dom = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { url: 'http://localhost/', runScripts: 'outside-only', virtualConsole: virtualConsole });
+    const window = dom.window;
+    
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, JSON.stringify(value)));
+    
+    scripts.forEach(name => compileScript(name).runInContext(dom.getInternalVMContext()));
+    
+    // Listeners run in order, so this one runs after those of the scripts
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    
+    return { window: window, warnings: warnings, errors: errors };
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,90 @@
+/**
+ * Checks of the pages rendering catalog data: hostile titles reach the anime
+ * cards, the search suggestions and the toasts as inert text.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-script');
+
+// Scripts of the index and video pages, in the order of their templates
+const INDEX_SCRIPTS = ['dom.js', 'watchlist.js', 'history.js', 'shortcuts.js', 'search-index.js', 'main.js', 'search.js'];
+const VIDEO_SCRIPTS = ['dom.js', 'watchlist.js', 'history.js', 'shortcuts.js', 'search-index.js', 'main.js', 'player.js', 'search.js'];
+
+// Markup an attacker could put in the catalog
+const HOSTILE_TITLE = '<img src=x onerror="alert(1)"><script>alert(2)</script>';
+
+const HOSTILE_ANIME = {
+    id: 7,
+    title: HOSTILE_TITLE,
+    alt_titles: [],
+    description: HOSTILE_TITLE,
+    image_url: 'javascript:alert(3)',
+    genres: [HOSTILE_TITLE],
+    seasons: [{ number: 1, episodes: [{ number: 1, title: HOSTILE_TITLE }] }]
+};
+
+/**
+ * Check that nothing of a hostile title became markup
+ * @param {Element} element - The rendered element
+ */
+function assertInert(element) {
+    assert.strictEqual(element.querySelector('img, script, [onerror]'), null);
+    assert.ok(element.textContent.includes(HOSTILE_TITLE));
+}
+
+test('anime cards show hostile titles, descriptions and genres as text', async () => {
+    const { window } = await loadScripts(INDEX_SCRIPTS);
+    const card = window.createAnimeCard(HOSTILE_ANIME);
+    
+    window.document.body.appendChild(card);
+    
+    assertInert(card);
+    assert.strictEqual(card.querySelector('.anime-card-title').textContent, HOSTILE_TITLE);
+    assert.strictEqual(card.querySelector('.anime-card-category').textContent, HOSTILE_TITLE);
+    assert.ok(!card.querySelector('.anime-card-image').style.backgroundImage.includes('javascript:'));
+});
+
+test('episode cards show hostile episode titles as text', async () => {
+    const { window } = await loadScripts(INDEX_SCRIPTS);
+    const card = window.createEpisodeCard({ anime_id: 7, anime_title: HOSTILE_TITLE, image_url: 'javascript:alert(3)', season: 1, episode: 1, title: HOSTILE_TITLE });
+    
+    window.document.body.appendChild(card);
+    
+    assertInert(card);
+});
+
+test('search suggestions show and highlight hostile titles as text', async () => {
+    const { window } = await loadScripts(INDEX_SCRIPTS);
+    const container = window.document.createElement('div');
+    const index = window.buildTokenIndex([HOSTILE_ANIME]);
+    
+    window.document.body.appendChild(container);
+    window.displaySuggestions(window.searchAnime('alert', index), container);
+    
+    assert.ok(container.querySelector('.suggestion-item'));
+    assertInert(container);
+    assert.ok(container.querySelector('mark'));
+});
+
+test('watchlist toasts of the index page show hostile titles as text', async () => {
+    const { window } = await loadScripts(INDEX_SCRIPTS, { body: '<div class="toast-container"></div>' });
+    const card = window.createAnimeCard(HOSTILE_ANIME);
+    
+    window.document.body.appendChild(card);
+    card.querySelector('.anime-card-watchlist').click();
+    
+    const toast = window.document.querySelector('.toast');
+    assert.ok(toast);
+    assertInert(toast);
+});
+
+test('toasts of the video page show hostile titles as text', async () => {
+    const { window } = await loadScripts(VIDEO_SCRIPTS);
+    
+    window.showToast(`${HOSTILE_TITLE} added to your watchlist`, 'success');
+    
+    const toast = window.document.querySelector('.toast');
+    assert.ok(toast);
+    assertInert(toast);
+});
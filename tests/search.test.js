@@ -0,0 +1,50 @@
+/**
+ * Checks of the fuzzy matching of static/js/search.js: a typo in a title,
+ * including two swapped letters, still finds the anime.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-script');
+
+const CATALOG = [
+    { id: 1, title: 'Naruto', alt_titles: [], genres: ['Action'], seasons: [] },
+    { id: 2, title: 'One Piece', alt_titles: [], genres: ['Adventure'], seasons: [] }
+];
+
+/**
+ * Load search.js in a new page and tokenize the test catalog
+ * @returns {Promise<Object>} The window of the page and the tokenized catalog
+ */
+async function loadSearch() {
+    const { window } = await loadScripts(['search.js']);
+    return { window: window, index: window.buildTokenIndex(CATALOG) };
+}
+
+/**
+ * Titles of the anime found by a query
+ * @param {string} query - The search query
+ * @returns {Promise<Array>} The titles, best first
+ */
+async function searchTitles(query) {
+    const { window, index } = await loadSearch();
+    return Array.from(window.searchAnime(query, index), result => result.anime.title);
+}
+
+test('two swapped letters count as one edit', async () => {
+    const { window } = await loadSearch();
+    
+    assert.strictEqual(window.calculateEditDistance('naurto', 'naruto'), 1);
+    assert.strictEqual(window.calculateEditDistance('ab', 'ba'), 1);
+    assert.strictEqual(window.calculateEditDistance('kitten', 'sitting'), 3);
+    assert.strictEqual(window.calculateEditDistance('naurto', 'naruto', 0), 1);
+});
+
+test('a title with two swapped letters is found', async () => {
+    assert.deepStrictEqual(await searchTitles('naurto'), ['Naruto']);
+    assert.deepStrictEqual(await searchTitles('one peice'), ['One Piece']);
+});
+
+test('unrelated words find nothing', async () => {
+    assert.deepStrictEqual(await searchTitles('bleach'), []);
+});
@@ -0,0 +1,48 @@
+/**
+ * Checks of the keyboard shortcut registry of static/js/shortcuts.js: remapped
+ * keys are shared by every page, so they must not take a key of any page.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-script');
+
+/**
+ * Load shortcuts.js in a new page with the shortcuts of the home page. The
+ * page registers the help shortcut itself once it has loaded.
+ * @param {Object} overrides - Keys already remapped by the user (optional)
+ * @returns {Promise<Object>} The window of the page and the warnings it logged
+ */
+async function loadHomePage(overrides = {}) {
+    const page = await loadScripts(['shortcuts.js'], { storage: { 'animeZone.shortcuts': overrides } });
+    
+    page.window.registerShortcut('search', '/', 'Focus the search bar', () => {});
+    return page;
+}
+
+test('a key of a video page shortcut cannot be taken on the home page', async () => {
+    const { window, warnings } = await loadHomePage();
+    
+    assert.strictEqual(window.setShortcutKey('search', 'n'), false);
+    assert.strictEqual(window.setShortcutKey('search', 'K'), false);
+    assert.strictEqual(window.getShortcutKey('search'), '/');
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('remapped keys of other pages are checked instead of their defaults', async () => {
+    const { window } = await loadHomePage({ 'next-episode': 'x' });
+    
+    assert.strictEqual(window.setShortcutKey('search', 'x'), false);
+    assert.strictEqual(window.setShortcutKey('search', 'n'), true);
+    assert.strictEqual(window.getShortcutKey('search'), 'n');
+});
+
+test('a free key is saved and the default key removes the override', async () => {
+    const { window } = await loadHomePage();
+    
+    assert.strictEqual(window.setShortcutKey('search', 'g'), true);
+    assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('animeZone.shortcuts')), { search: 'g' });
+    
+    assert.strictEqual(window.setShortcutKey('search', '/'), true);
+    assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('animeZone.shortcuts')), {});
+});
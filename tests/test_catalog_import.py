@@ -0,0 +1,142 @@
+import os
+import re
+import sys
+import copy
+import json
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from catalog_io import CATALOG_SCHEMA_PATH, check_schema, run_catalog_import
+
+# A catalog that sets every field of the schema
+VALID_CATALOG = {
+    "anime": [{
+        "id": 1,
+        "title": "Anime",
+        "alt_titles": ["Alt"],
+        "description": "About the anime",
+        "image_url": "https://example.com/poster.jpg",
+        "genres": ["Action"],
+        "seasons": [{
+            "number": 1,
+            "title": "Season",
+            "intro_start": 0,
+            "intro_end": 90,
+            "outro_start": 1300.5,
+            "episodes": [{
+                "number": 1,
+                "title": "Episode",
+                "description": "About the episode",
+                "video_url": "https://example.com/episode.mp4",
+                "duration": 24,
+                "release_date": "2024-01-01",
+                "views": 3,
+                "intro_start": 0,
+                "intro_end": 90,
+                "outro_start": 1300,
+                "subtitles": [{"language": "en", "label": "English", "url": "/static/subtitles/episode.vtt"}]
+            }]
+        }]
+    }]
+}
+
+# Values of each JSON type, and strings that common patterns reject
+JSON_VALUES = {'string': 'x', 'integer': 7, 'number': 1.5, 'boolean': True, 'null': None, 'array': [], 'object': {}}
+PATTERN_CANDIDATES = ('x', 'javascript:alert(1)', 'ftp://example.com/file')
+
+def load_schema():
+    with open(CATALOG_SCHEMA_PATH, encoding='utf-8') as f:
+        return json.load(f)
+
+def invalid_values(schema):
+    """Values that break one rule of a schema each."""
+    types = schema.get('type', [])
+    types = [types] if isinstance(types, str) else types
+    
+    for name, value in JSON_VALUES.items():
+        if types and name not in types and not (name == 'integer' and 'number' in types):
+            yield f'type {name}', value
+    
+    if 'minimum' in schema:
+        yield 'minimum', schema['minimum'] - 1
+    if schema.get('minLength', 0) > 0:
+        yield 'minLength', 'x' * (schema['minLength'] - 1)
+    if 'maxLength' in schema:
+        yield 'maxLength', 'x' * (schema['maxLength'] + 1)
+    if 'pattern' in schema:
+        yield 'pattern', next(value for value in PATTERN_CANDIDATES if not re.search(schema['pattern'], value))
+    if schema.get('format') == 'date':
+        yield 'format', '2024-02-30'
+
+def broken_catalogs(value, schema, root, path=()):
+    """Yield a label, the path and the invalid value of every change of the catalog that the schema rejects."""
+    if '$ref' in schema:
+        target = root
+        for key in schema['$ref'].lstrip('#/').split('/'):
+            target = target[key]
+        schema = target
+    
+    for rule, invalid in invalid_values(schema):
+        yield f'{"/".join(map(str, path))}: {rule}', path, invalid
+    
+    if isinstance(value, dict):
+        for key in schema.get('required', []):
+            yield f'{"/".join(map(str, path + (key,)))}: required', path + (key,), None
+        for key, property_schema in schema.get('properties', {}).items():
+            if key in value:
+                yield from broken_catalogs(value[key], property_schema, root, path + (key,))
+    
+    if isinstance(value, list) and value:
+        yield from broken_catalogs(value[0], schema.get('items', {}), root, path + (0,))
+
+class CatalogImportSchemaTest(unittest.TestCase):
+    """JSON imports reject every catalog that catalog.schema.json rejects."""
+    
+    def import_catalog(self, catalog):
+        return run_catalog_import(os.path.join(ROOT, 'missing-catalog.json'), json.dumps(catalog), 'json', dry_run=True)
+    
+    def test_valid_catalogs_are_imported(self):
+        with open(os.path.join(ROOT, 'anime_data.json'), encoding='utf-8') as f:
+            shipped = json.load(f)
+        
+        for catalog in (VALID_CATALOG, shipped):
+            summary, errors = self.import_catalog(catalog)
+            self.assertEqual(errors, [])
+            self.assertIsNotNone(summary)
+    
+    def test_catalogs_the_schema_rejects_are_not_imported(self):
+        schema = load_schema()
+        cases = list(broken_catalogs(VALID_CATALOG, schema, schema))
+        
+        # Anime, seasons, episodes and subtitles all have rules
+        self.assertGreater(len(cases), 50)
+        
+        for label, path, invalid in cases:
+            with self.subTest(label):
+                catalog = copy.deepcopy(VALID_CATALOG)
+                parent = catalog
+                
+                for key in path[:-1]:
+                    parent = parent[key]
+                
+                if label.endswith(': required'):
+                    del parent[path[-1]]
+                elif path:
+                    parent[path[-1]] = invalid
+                else:
+                    catalog = invalid
+                
+                summary, errors = self.import_catalog(catalog)
+                self.assertIsNone(summary)
+                self.assertTrue(errors)
+    
+    def test_schema_rules_without_a_check_are_refused(self):
+        schema = {'type': 'string', 'enum': ['a']}
+        
+        with self.assertRaises(ValueError):
+            check_schema('b', schema, schema)
+
+if __name__ == '__main__':
+    unittest.main()
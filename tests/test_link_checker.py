@@ -0,0 +1,44 @@
+import os
+import sys
+import tempfile
+import unittest
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from link_checker import LINK_AVAILABLE, LINK_UNAVAILABLE, check_episode_link
+
+class StaticLinkCheckTest(unittest.TestCase):
+    """Static videos are looked up inside the static folder only."""
+    
+    def setUp(self):
+        self.folder = tempfile.TemporaryDirectory()
+        self.static_folder = os.path.join(self.folder.name, 'static')
+        os.makedirs(os.path.join(self.static_folder, 'videos'))
+        
+        with open(os.path.join(self.static_folder, 'videos', 'episode.mp4'), 'wb') as f:
+            f.write(b'video')
+        
+        # A video next to the static folder, which the site never serves
+        with open(os.path.join(self.folder.name, 'secret.mp4'), 'wb') as f:
+            f.write(b'secret')
+    
+    def tearDown(self):
+        self.folder.cleanup()
+    
+    def test_files_of_the_static_folder_are_available(self):
+        self.assertEqual(check_episode_link('/static/videos/episode.mp4', self.static_folder), (LINK_AVAILABLE, None))
+        self.assertEqual(check_episode_link('/static/videos/missing.mp4', self.static_folder), (LINK_UNAVAILABLE, 'File not found'))
+    
+    def test_paths_outside_the_static_folder_are_unavailable(self):
+        for url in (
+            f'/static/{self.folder.name}/secret.mp4',
+            f'/static//{self.folder.name}/secret.mp4',
+            '/static/../secret.mp4',
+            '/static/videos/../../secret.mp4',
+        ):
+            with self.subTest(url=url):
+                status, _ = check_episode_link(url, self.static_folder)
+                self.assertEqual(status, LINK_UNAVAILABLE)
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,49 @@
+import os
+import sys
+import unittest
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+from app import app, CONTENT_SECURITY_POLICY
+
+class SecurityHeadersTest(unittest.TestCase):
+    """Every response carries the Content Security Policy, pages and API alike."""
+    
+    def setUp(self):
+        self.client = app.test_client()
+    
+    def get_policy(self, path):
+        response = self.client.get(path)
+        directives = dict(
+            directive.strip().split(' ', 1)
+            for directive in response.headers.get('Content-Security-Policy', '').split(';')
+            if directive.strip()
+        )
+        return response, directives
+    
+    def test_pages_api_and_errors_carry_the_policy(self):
+        for path in ('/search', '/api/search-index', '/service-worker.js', '/does-not-exist'):
+            with self.subTest(path=path):
+                response = self.client.get(path)
+                self.assertEqual(response.headers.get('Content-Security-Policy'), CONTENT_SECURITY_POLICY)
+                self.assertEqual(response.headers.get('X-Content-Type-Options'), 'nosniff')
+    
+    def test_scripts_only_load_from_this_site_and_the_hls_cdn(self):
+        _, directives = self.get_policy('/search')
+        
+        self.assertEqual(directives['script-src'], "'self' https://cdn.jsdelivr.net")
+        self.assertNotIn("'unsafe-inline'", directives['script-src'])
+        self.assertNotIn("'unsafe-eval'", directives['script-src'])
+        self.assertEqual(directives['object-src'], "'none'")
+        self.assertEqual(directives['base-uri'], "'self'")
+    
+    def test_pages_have_no_inline_scripts(self):
+        response = self.client.get('/search')
+        html = response.get_data(as_text=True)
+        
+        # Inline scripts would be blocked by the policy, so every script must have a src
+        self.assertNotIn('<script>', html)
+        self.assertNotRegex(html, r'\son[a-z]+="')
+
+if __name__ == '__main__':
+    unittest.main()
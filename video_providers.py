@@ -0,0 +1,171 @@
+from urllib.parse import urlparse, parse_qs
+
+# Video file extensions served directly to a <video> element
+DIRECT_VIDEO_EXTENSIONS = ('.mp4', '.webm')
+
+def extract_drive_file_id(drive_url):
+    """
+    Extract the file ID from a Google Drive URL.
+    
+    Args:
+        drive_url (str): A Google Drive share or open URL
+    
+    Returns:
+        str: The file ID, or None if the URL has no recognisable ID
+    """
+    parsed_url = urlparse(drive_url)
+    
+    if '/file/d/' in parsed_url.path:
+        # Format: https://drive.google.com/file/d/FILE_ID/view
+        file_id = parsed_url.path.split('/file/d/')[1].split('/')[0]
+    elif 'id=' in parsed_url.query:
+        # Format: https://drive.google.com/open?id=FILE_ID
+        file_id = parse_qs(parsed_url.query).get('id', [''])[0]
+    else:
+        return None
+    
+    return file_id or None
+
+def is_static_path(url):
+    """
+    Check whether a URL points to a file under this site's /static folder.
+    
+    Args:
+        url (str): The URL to check
+    
+    Returns:
+        bool: True for same-site /static paths without parent directory segments
+    """
+    parsed_url = urlparse(url)
+    return (
+        not parsed_url.scheme
+        and not parsed_url.netloc
+        and parsed_url.path.startswith('/static/')
+        and '..' not in parsed_url.path.split('/')
+    )
+
+class VideoProvider:
+    """
+    Base class for video sources. Each provider decides which URLs it handles,
+    how the player page renders them and where they can be downloaded from.
+    """
+    
+    # Name sent to the page so player.js can pick the same provider
+    name = None
+    
+    # How the page renders the video: 'iframe', 'video' or 'hls'
+    player = 'video'
+    
+    def matches(self, url):
+        """Return True if this provider handles the URL."""
+        raise NotImplementedError
+    
+    def embed_url(self, url):
+        """Return the URL loaded by the player, or None if it cannot be played."""
+        return url
+    
+    def download_url(self, url):
+        """Return a URL that downloads the video, or None if it cannot be downloaded."""
+        return url
+
+class GoogleDriveProvider(VideoProvider):
+    """Files shared from Google Drive, played through the Drive preview iframe."""
+    
+    name = 'drive'
+    player = 'iframe'
+    
+    def matches(self, url):
+        return 'drive.google.com' in urlparse(url).netloc
+    
+    def embed_url(self, url):
+        file_id = extract_drive_file_id(url)
+        # Return the embed URL that allows direct embedding
+        return f"https://drive.google.com/file/d/{file_id}/preview" if file_id else None
+    
+    def download_url(self, url):
+        file_id = extract_drive_file_id(url)
+        # Use the direct download URL format
+        return f"https://drive.google.com/uc?export=download&id={file_id}" if file_id else None
+
+class HlsProvider(VideoProvider):
+    """HLS streams (.m3u8 playlists), remote or under /static."""
+    
+    name = 'hls'
+    player = 'hls'
+    
+    def matches(self, url):
+        parsed_url = urlparse(url)
+        is_remote = parsed_url.scheme in ('http', 'https')
+        return (is_remote or is_static_path(url)) and parsed_url.path.lower().endswith('.m3u8')
+    
+    def download_url(self, url):
+        # A playlist is not a single file the browser can save
+        return None
+
+class StaticFileProvider(VideoProvider):
+    """Video files hosted by this site under /static."""
+    
+    name = 'static'
+    
+    def matches(self, url):
+        return is_static_path(url) and urlparse(url).path.lower().endswith(DIRECT_VIDEO_EXTENSIONS)
+
+class DirectFileProvider(VideoProvider):
+    """MP4 and WebM files on any HTTP(S) server."""
+    
+    name = 'direct'
+    
+    def matches(self, url):
+        parsed_url = urlparse(url)
+        return parsed_url.scheme in ('http', 'https') and parsed_url.path.lower().endswith(DIRECT_VIDEO_EXTENSIONS)
+
+# Providers in the order they are tried
+VIDEO_PROVIDERS = [
+    GoogleDriveProvider(),
+    HlsProvider(),
+    StaticFileProvider(),
+    DirectFileProvider(),
+]
+
+def get_video_provider(url):
+    """
+    Find the provider that handles a video URL.
+    
+    Args:
+        url (str): The episode video URL
+    
+    Returns:
+        VideoProvider: The matching provider, or None if the URL is not supported
+    """
+    if not url:
+        return None
+    
+    return next((provider for provider in VIDEO_PROVIDERS if provider.matches(url)), None)
+
+def resolve_video(url):
+    """
+    Resolve an episode video URL into everything the player page needs.
+    
+    Args:
+        url (str): The episode video URL
+    
+    Returns:
+        dict: The provider name, player type, embed URL and download URL,
+              or None if the URL cannot be played
+    """
+    provider = get_video_provider(url)
+    
+    if not provider:
+        return None
+    
+    embed_url = provider.embed_url(url)
+    
+    if not embed_url:
+        return None
+    
+    return {
+        'provider': provider.name,
+        'player': provider.player,
+        'embed_url': embed_url,
+        'download_url': provider.download_url(url),
+    }
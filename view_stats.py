@@ -0,0 +1,133 @@
+from datetime import datetime, timedelta, timezone
+from storage import data_lock, read_json, write_json_atomic
+
+# Views are counted per hour, so the daily and weekly counts roll with the clock
+STATS_BUCKET_FORMAT = '%Y-%m-%dT%H'
+
+# Periods of the trending lists, in hours
+TRENDING_PERIODS = {
+    'day': 24,
+    'week': 7 * 24,
+}
+
+# Buckets older than the longest period are dropped
+STATS_RETENTION_HOURS = max(TRENDING_PERIODS.values())
+
+STATS_SCHEMA_VERSION = 1
+
+def get_episode_key(anime_id, season, episode):
+    """
+    Build the key used for an episode in the view statistics.
+    
+    Args:
+        anime_id: The anime ID
+        season: The season number
+        episode: The episode number
+    
+    Returns:
+        str: The episode key, e.g. "1/2/3"
+    """
+    return f"{anime_id}/{season}/{episode}"
+
+def get_recent_buckets(hours, now=None):
+    """
+    List the hourly buckets of a rolling period, current hour included.
+    
+    Args:
+        hours (int): Length of the period
+        now (datetime): The current time (optional)
+    
+    Returns:
+        list: The bucket names
+    """
+    now = now or datetime.now(timezone.utc)
+    return [(now - timedelta(hours=offset)).strftime(STATS_BUCKET_FORMAT) for offset in range(hours)]
+
+def load_view_stats(stats_path):
+    """
+    Read the hourly view statistics.
+    
+    Args:
+        stats_path (str): Path of the statistics file
+    
+    Returns:
+        dict: View counts keyed by hour bucket, then by episode key
+    """
+    stats = read_json(stats_path, None)
+    
+    if not stats or stats.get('version') != STATS_SCHEMA_VERSION:
+        return {}
+    
+    return stats.get('hours', {})
+
+def record_episode_view(data_path, stats_path, anime_id, season, episode):
+    """
+    Count a view of an episode: its all-time "views" in the anime data and the
+    current hour of the view statistics. Both files are rewritten atomically
+    while holding the data lock, so concurrent views are never lost.
+    
+    Args:
+        data_path (str): Path of anime_data.json
+        stats_path (str): Path of the statistics file
+        anime_id (str): The anime ID from the URL
+        season (str): The season number from the URL
+        episode (str): The episode number from the URL
+    
+    Returns:
+        int: The new all-time view count, or None if the episode does not exist
+    """
+    with data_lock(data_path):
+        anime_data = read_json(data_path, {"anime": []})
+        anime = next((a for a in anime_data.get('anime', []) if str(a.get('id')) == anime_id), None)
+        selected_season = next((s for s in (anime or {}).get('seasons', []) if str(s.get('number')) == season), None)
+        selected_episode = next((e for e in (selected_season or {}).get('episodes', []) if str(e.get('number')) == episode), None)
+        
+        if not selected_episode:
+            return None
+        
+        selected_episode['views'] = selected_episode.get('views', 0) + 1
+        write_json_atomic(data_path, anime_data)
+        
+        hours = load_view_stats(stats_path)
+        current = get_recent_buckets(1)[0]
+        key = get_episode_key(anime.get('id'), selected_season.get('number'), selected_episode.get('number'))
+        hours.setdefault(current, {})
+        hours[current][key] = hours[current].get(key, 0) + 1
+        
+        # Forget the hours that no trending period covers anymore
+        kept = set(get_recent_buckets(STATS_RETENTION_HOURS))
+        hours = {bucket: counts for bucket, counts in hours.items() if bucket in kept}
+        
+        write_json_atomic(stats_path, {"version": STATS_SCHEMA_VERSION, "hours": hours})
+        
+        return selected_episode['views']
+
+def get_trending_anime(anime_list, stats_path, period, limit):
+    """
+    Rank anime by their views during a rolling period.
+    
+    Args:
+        anime_list (list): The anime catalog
+        stats_path (str): Path of the statistics file
+        period (str): One of TRENDING_PERIODS
+        limit (int): Maximum number of anime returned
+    
+    Returns:
+        list: Anime with views in the period, each with its "recent_views", most viewed first
+    """
+    hours = load_view_stats(stats_path)
+    recent_views = {}
+    
+    for bucket in get_recent_buckets(TRENDING_PERIODS[period]):
+        for key, count in hours.get(bucket, {}).items():
+            anime_id = key.split('/')[0]
+            recent_views[anime_id] = recent_views.get(anime_id, 0) + count
+    
+    trending = [
+        dict(anime, recent_views=recent_views[str(anime.get('id'))])
+        for anime in anime_list
+        if recent_views.get(str(anime.get('id')))
+    ]
+    trending.sort(key=lambda anime: anime['recent_views'], reverse=True)
+    
+    return trending[:limit]